@@ -1,3 +1,12 @@
+const { AccessDeniedError, FieldConflictError, JoinDeniedError, PatternSubscriptionDeniedError, PublishDeniedError, SchemaValidationError } = require('./lib/manager/errors')
+
 module.exports = {
-  components: __dirname + '/lib/components/'
+  components: __dirname + '/lib/components/',
+  roomAdmin: require('./lib/modules/roomAdmin'),
+  AccessDeniedError,
+  FieldConflictError,
+  JoinDeniedError,
+  PatternSubscriptionDeniedError,
+  PublishDeniedError,
+  SchemaValidationError
 }
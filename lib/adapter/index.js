@@ -0,0 +1,34 @@
+const RedisAdapter = require('./redisAdapter')
+const MemoryAdapter = require('./memoryAdapter')
+const MemoryStore = require('./memoryStore')
+
+/**
+ * Resolves the `adapter` plugin option to an adapter instance.
+ * @param {object} opts - The plugin options.
+ * @param {string|object} [opts.adapter] - 'redis' (default), 'memory', or a custom adapter
+ *   implementing the same methods as RedisAdapter.
+ * @param {object} [opts.redis] - Options for the redis adapter.
+ * @param {{info: function, error: function}} [opts.logger] - Where the redis adapter logs its connection events.
+ * @param {object} [opts.memory] - Options for the memory adapter.
+ * @returns {RedisAdapter|MemoryAdapter|object}
+ */
+function createAdapter (opts = {}) {
+  const adapter = opts.adapter || 'redis'
+  if (adapter === 'redis') {
+    return new RedisAdapter(opts.redis, opts.logger)
+  }
+  if (adapter === 'memory') {
+    return new MemoryAdapter(opts.memory)
+  }
+  if (typeof adapter === 'object') {
+    return adapter
+  }
+  throw new Error(`Unknown adapter: ${adapter}. Use 'redis', 'memory' or an adapter instance.`)
+}
+
+module.exports = {
+  createAdapter,
+  RedisAdapter,
+  MemoryAdapter,
+  MemoryStore
+}
@@ -0,0 +1,96 @@
+const { EventEmitter } = require('events')
+const MemoryStore = require('./memoryStore')
+
+// Adapters created without an explicit store share this one, so that every
+// RoomService in the process sees the same rooms, like servers sharing a Redis.
+const defaultStore = new MemoryStore()
+
+// Resolves on a later turn of the event loop, like a network round-trip would,
+// so that tight publish loops cannot starve timers and I/O.
+const nextTurn = () => new Promise(resolve => setImmediate(resolve))
+
+class MemoryAdapter extends EventEmitter {
+  /**
+   * Storage and transport kept in process memory, for single-process deployments and tests.
+   * Scripts run their JavaScript implementation against the store instead of Lua.
+   * @param {{store: MemoryStore}} [memoryOpts] - Use a dedicated store instead of the shared one.
+   */
+  constructor (memoryOpts = {}) {
+    super()
+    this.store = memoryOpts.store || defaultStore
+    this.isOpen = false
+  }
+
+  async connect () {
+    this.isOpen = true
+  }
+
+  async disconnect () {
+    this.isOpen = false
+  }
+
+  /**
+   * @param {{run: function}} script - A script from `lib/manager/scripts`.
+   * @param {string[]} keys - The keys the script touches.
+   * @param {string[]} args - The script arguments.
+   */
+  async runScript (script, keys, args) {
+    await nextTurn()
+    return script.run(this.store, keys, args)
+  }
+
+  /**
+   * @param {{fullDataKey: string, historyKey: string, versionKey: string, streamKey: string, metaKey: string}} keys
+   * @param {{stream: boolean}} [opts] - Read the history stream instead of the history list.
+   * @returns {Promise<{hash: object, list?: string[], stream?: Array<{id: string, message: object}>, version: string|null,
+   *   epoch: string|null}>} The raw stored values.
+   */
+  async fetchSnapshot (keys, { stream = false } = {}) {
+    await nextTurn()
+    const snapshot = {
+      hash: this.store.hGetAll(keys.fullDataKey),
+      version: this.store.get(keys.versionKey),
+      epoch: this.store.hGet(keys.metaKey, 'epoch')
+    }
+    if (stream) {
+      snapshot.stream = this.store.xRevRange(keys.streamKey, '+', '-').map(([id, pairs]) => {
+        const message = {}
+        for (let i = 0; i < pairs.length; i += 2) {
+          message[pairs[i]] = pairs[i + 1]
+        }
+        return { id, message }
+      })
+    } else {
+      snapshot.list = this.store.lRange(keys.historyKey, 0, -1)
+    }
+    return snapshot
+  }
+
+  async scanKeys (pattern) {
+    await nextTurn()
+    return this.store.keys(pattern)
+  }
+
+  async del (keys) {
+    await nextTurn()
+    return this.store.del(keys)
+  }
+
+  async subscribe (channel, listener) {
+    this.store.subscribe(channel, listener)
+  }
+
+  async unsubscribe (channel, listener) {
+    this.store.unsubscribe(channel, listener)
+  }
+
+  async pSubscribe (pattern, listener) {
+    this.store.pSubscribe(pattern, listener)
+  }
+
+  async pUnsubscribe (pattern, listener) {
+    this.store.pUnsubscribe(pattern, listener)
+  }
+}
+
+module.exports = MemoryAdapter
@@ -0,0 +1,407 @@
+/**
+ * Converts a Redis glob-style pattern (`*`, `?`, `[abc]`, `[^a-z]`, `\x`) to a RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp (pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*') {
+      source += '[\\s\\S]*'
+    } else if (char === '?') {
+      source += '[\\s\\S]'
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2)
+      if (end === -1) {
+        source += '\\['
+        continue
+      }
+      let set = pattern.slice(i + 1, end)
+      if (set.startsWith('^')) {
+        set = '^' + set.slice(1).replace(/[\\\]]/g, '\\$&')
+      } else {
+        set = set.replace(/[\\\]^]/g, '\\$&')
+      }
+      source += `[${set}]`
+      i = end
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Parses a stream entry id or XRANGE bound: `<ms>-<seq>`, `<ms>` for a whole millisecond,
+ * `-`, `+`, or any of these prefixed with `(` for an exclusive bound.
+ * @param {string} bound
+ * @param {boolean} isEnd - Whether an incomplete id ends the range, covering its last sequence number.
+ * @returns {{ms: number, seq: number, exclusive: boolean}}
+ */
+function parseStreamBound (bound, isEnd) {
+  const exclusive = bound.startsWith('(')
+  const id = exclusive ? bound.slice(1) : bound
+  if (id === '-') return { ms: 0, seq: 0, exclusive }
+  if (id === '+') return { ms: Infinity, seq: Infinity, exclusive }
+  const [ms, seq] = id.split('-')
+  return { ms: Number(ms), seq: seq === undefined ? (isEnd ? Infinity : 0) : Number(seq), exclusive }
+}
+
+const compareStreamIds = (a, b) => a.ms !== b.ms ? (a.ms < b.ms ? -1 : 1) : (a.seq === b.seq ? 0 : (a.seq < b.seq ? -1 : 1))
+
+class MemoryStore {
+  /**
+   * An in-process stand-in for the subset of Redis data types and pub/sub used by the plugin.
+   * All data operations are synchronous, which makes every script run atomic.
+   * Like Redis, empty hashes, lists and sorted sets are deleted, streams are kept,
+   * and keys with an expiry are deleted once it passed, when they are next accessed.
+   */
+  constructor () {
+    this.data = new Map() // <key, { type, value, expiresAt }>
+    this.channels = new Map() // <channel, Set<listener>>
+    this.patterns = new Map() // <pattern, { regExp, listeners: Set<listener> }>
+  }
+
+  // Gets the entry of a key, deleting it if it expired.
+  _entry (key) {
+    const entry = this.data.get(key)
+    if (entry && entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+      this.data.delete(key)
+      return undefined
+    }
+    return entry
+  }
+
+  _read (key, type) {
+    const entry = this._entry(key)
+    if (!entry) {
+      return undefined
+    }
+    if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    }
+    return entry.value
+  }
+
+  // Replacing the value of a key keeps its expiry, like Redis commands modifying a key.
+  _write (key, type, value) {
+    const entry = this._entry(key)
+    this.data.set(key, { type, value, expiresAt: entry ? entry.expiresAt : undefined })
+    return value
+  }
+
+  /**
+   * @param {string} pattern
+   * @returns {string[]}
+   */
+  keys (pattern) {
+    const regExp = globToRegExp(pattern)
+    return Array.from(this.data.keys()).filter(key => regExp.test(key) && this._entry(key))
+  }
+
+  exists (key) {
+    return this._entry(key) !== undefined
+  }
+
+  del (...keys) {
+    let count = 0
+    for (const key of keys.flat()) {
+      if (this._entry(key) && this.data.delete(key)) count++
+    }
+    return count
+  }
+
+  /**
+   * Sets a key to expire after the given time, like PEXPIRE.
+   * @param {string} key
+   * @param {number} milliseconds
+   * @returns {number} 1 if the key exists, 0 otherwise.
+   */
+  pExpire (key, milliseconds) {
+    const entry = this._entry(key)
+    if (!entry) {
+      return 0
+    }
+    entry.expiresAt = Date.now() + milliseconds
+    return 1
+  }
+
+  /**
+   * @param {string} key
+   * @returns {number} The remaining time to live in milliseconds, -1 without expiry, -2 if the key does not exist.
+   */
+  pTtl (key) {
+    const entry = this._entry(key)
+    if (!entry) {
+      return -2
+    }
+    return entry.expiresAt === undefined ? -1 : Math.max(entry.expiresAt - Date.now(), 0)
+  }
+
+  get (key) {
+    const value = this._read(key, 'string')
+    return value === undefined ? null : value
+  }
+
+  // Like SET, this discards the expiry of the key.
+  set (key, value) {
+    this.data.set(key, { type: 'string', value: String(value), expiresAt: undefined })
+  }
+
+  incrBy (key, increment) {
+    const current = this.get(key)
+    const value = (current === null ? 0 : parseInt(current, 10)) + increment
+    this._write(key, 'string', String(value))
+    return value
+  }
+
+  incr (key) {
+    return this.incrBy(key, 1)
+  }
+
+  hGet (key, field) {
+    const hash = this._read(key, 'hash')
+    return hash && hash.has(field) ? hash.get(field) : null
+  }
+
+  hGetAll (key) {
+    const hash = this._read(key, 'hash')
+    return hash ? Object.fromEntries(hash) : {}
+  }
+
+  /**
+   * @param {string} key
+   * @param {string[]} pairs - Field/value pairs.
+   */
+  hSet (key, pairs) {
+    const hash = this._read(key, 'hash') || this._write(key, 'hash', new Map())
+    for (let i = 0; i < pairs.length; i += 2) {
+      hash.set(pairs[i], String(pairs[i + 1]))
+    }
+  }
+
+  hDel (key, fields) {
+    const hash = this._read(key, 'hash')
+    if (!hash) {
+      return 0
+    }
+    let count = 0
+    for (const field of fields) {
+      if (hash.delete(field)) count++
+    }
+    if (hash.size === 0) {
+      this.data.delete(key)
+    }
+    return count
+  }
+
+  lPush (key, value) {
+    const list = this._read(key, 'list') || this._write(key, 'list', [])
+    list.unshift(String(value))
+    return list.length
+  }
+
+  lRange (key, start, stop) {
+    const list = this._read(key, 'list') || []
+    const from = start < 0 ? Math.max(list.length + start, 0) : start
+    const to = stop < 0 ? list.length + stop : stop
+    return list.slice(from, to + 1)
+  }
+
+  lTrim (key, start, stop) {
+    if (!this._read(key, 'list')) {
+      return
+    }
+    const list = this.lRange(key, start, stop)
+    if (list.length > 0) {
+      this._write(key, 'list', list)
+    } else {
+      this.data.delete(key)
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} score
+   * @param {string} member
+   * @returns {number} 1 if the member was added, 0 if its score was updated.
+   */
+  zAdd (key, score, member) {
+    const zset = this._read(key, 'zset') || this._write(key, 'zset', new Map())
+    const added = zset.has(member) ? 0 : 1
+    zset.set(String(member), score)
+    return added
+  }
+
+  zRem (key, member) {
+    const zset = this._read(key, 'zset')
+    if (!zset || !zset.delete(member)) {
+      return 0
+    }
+    if (zset.size === 0) {
+      this.data.delete(key)
+    }
+    return 1
+  }
+
+  zCard (key) {
+    const zset = this._read(key, 'zset')
+    return zset ? zset.size : 0
+  }
+
+  // Members ordered by score, then lexicographically, like a Redis sorted set.
+  _zSorted (key) {
+    const zset = this._read(key, 'zset')
+    if (!zset) {
+      return []
+    }
+    return Array.from(zset.entries())
+      .sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0))
+  }
+
+  zRange (key, start, stop) {
+    const members = this._zSorted(key).map(([member]) => member)
+    const from = start < 0 ? Math.max(members.length + start, 0) : start
+    const to = stop < 0 ? members.length + stop : stop
+    return members.slice(from, to + 1)
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} min - Inclusive, may be -Infinity.
+   * @param {number} max - Inclusive, may be Infinity.
+   * @returns {string[]}
+   */
+  zRangeByScore (key, min, max) {
+    return this._zSorted(key)
+      .filter(([, score]) => score >= min && score <= max)
+      .map(([member]) => member)
+  }
+
+  zRemRangeByScore (key, min, max) {
+    const members = this.zRangeByScore(key, min, max)
+    for (const member of members) {
+      this.zRem(key, member)
+    }
+    return members.length
+  }
+
+  /**
+   * Appends an entry with an id generated from the current time, like `XADD key MAXLEN n *`.
+   * @param {string} key
+   * @param {Array<string|number>} pairs - Field/value pairs.
+   * @param {number} [maxLen] - Trims the oldest entries beyond this length.
+   * @returns {string} The entry id, `<ms>-<seq>`.
+   */
+  xAdd (key, pairs, maxLen) {
+    const stream = this._read(key, 'stream') || this._write(key, 'stream', { entries: [], lastMs: 0, lastSeq: -1 })
+    const now = Date.now()
+    if (now > stream.lastMs) {
+      stream.lastMs = now
+      stream.lastSeq = 0
+    } else {
+      stream.lastSeq++
+    }
+    const id = `${stream.lastMs}-${stream.lastSeq}`
+    stream.entries.push([id, pairs.map(String)])
+    if (maxLen !== undefined && stream.entries.length > maxLen) {
+      stream.entries.splice(0, stream.entries.length - maxLen)
+    }
+    return id
+  }
+
+  /**
+   * Reads entries between two bounds, newest first, like XREVRANGE.
+   * @param {string} key
+   * @param {string} end - The newest id, see parseStreamBound.
+   * @param {string} start - The oldest id.
+   * @param {number} [count] - The maximum number of entries.
+   * @returns {Array<[string, string[]]>} `[id, [field, value, ...]]` entries.
+   */
+  xRevRange (key, end, start, count = Infinity) {
+    const stream = this._read(key, 'stream')
+    if (!stream) {
+      return []
+    }
+    const to = parseStreamBound(end, true)
+    const from = parseStreamBound(start, false)
+    const entries = []
+    for (let i = stream.entries.length - 1; i >= 0 && entries.length < count; i--) {
+      const [id, pairs] = stream.entries[i]
+      const parsed = parseStreamBound(id, false)
+      const beforeEnd = compareStreamIds(parsed, to)
+      const afterStart = compareStreamIds(parsed, from)
+      if ((to.exclusive ? beforeEnd < 0 : beforeEnd <= 0) && (from.exclusive ? afterStart > 0 : afterStart >= 0)) {
+        entries.push([id, pairs.slice()])
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Delivers a message to every matching subscriber on a later turn of the event loop,
+   * in publish order, like a message arriving over the network.
+   * @returns {number} The number of receiving listeners.
+   */
+  publish (channel, message) {
+    const listeners = Array.from(this.channels.get(channel) || [])
+    for (const { regExp, listeners: patternListeners } of this.patterns.values()) {
+      if (regExp.test(channel)) {
+        listeners.push(...patternListeners)
+      }
+    }
+    for (const listener of listeners) {
+      setImmediate(() => listener(message, channel))
+    }
+    return listeners.length
+  }
+
+  /**
+   * Like publish, but only reaches channel subscribers, as sharded pub/sub has no patterns.
+   * @returns {number} The number of receiving listeners.
+   */
+  sPublish (channel, message) {
+    const listeners = Array.from(this.channels.get(channel) || [])
+    for (const listener of listeners) {
+      setImmediate(() => listener(message, channel))
+    }
+    return listeners.length
+  }
+
+  subscribe (channel, listener) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set())
+    }
+    this.channels.get(channel).add(listener)
+  }
+
+  unsubscribe (channel, listener) {
+    const listeners = this.channels.get(channel)
+    if (listeners) {
+      listeners.delete(listener)
+      if (listeners.size === 0) this.channels.delete(channel)
+    }
+  }
+
+  pSubscribe (pattern, listener) {
+    if (!this.patterns.has(pattern)) {
+      this.patterns.set(pattern, { regExp: globToRegExp(pattern), listeners: new Set() })
+    }
+    this.patterns.get(pattern).listeners.add(listener)
+  }
+
+  pUnsubscribe (pattern, listener) {
+    const entry = this.patterns.get(pattern)
+    if (entry) {
+      entry.listeners.delete(listener)
+      if (entry.listeners.size === 0) this.patterns.delete(pattern)
+    }
+  }
+}
+
+MemoryStore.globToRegExp = globToRegExp
+
+module.exports = MemoryStore
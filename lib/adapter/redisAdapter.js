@@ -0,0 +1,193 @@
+const { EventEmitter } = require('events')
+const redis = require('redis')
+
+class RedisAdapter extends EventEmitter {
+  /**
+   * Storage and transport backed by Redis: one client for commands and one for pub/sub.
+   * Emits 'reconnect' when the pub/sub client reconnected after losing its connection.
+   * @param {object} [redisOpts] - Options passed to `redis.createClient`.
+   * @param {object} [redisOpts.cluster] - Options passed to `redis.createCluster` to connect to a Redis Cluster instead.
+   * @param {object} [redisOpts.sentinel] - Options passed to `redis.createSentinel` to connect through Redis Sentinel instead.
+   * @param {boolean} [redisOpts.shardedPubSub=false] - Use sharded pub/sub (SSUBSCRIBE/SPUBLISH, Redis 7+).
+   *   Pattern rooms are not available with sharded pub/sub.
+   * @param {{info: function, error: function}} [logger=console] - Logs the connection events and client errors.
+   */
+  constructor (redisOpts = {}, logger = console) {
+    super()
+    const { cluster, sentinel, shardedPubSub, ...clientOpts } = redisOpts
+    if (cluster && sentinel) {
+      throw new Error('Redis options cluster and sentinel are mutually exclusive.')
+    }
+    this.redisOpts = redisOpts
+    this.logger = logger
+    this.topology = cluster ? 'cluster' : sentinel ? 'sentinel' : 'standalone'
+    this.shardedPubSub = Boolean(shardedPubSub)
+    this.clientOpts = cluster || sentinel || clientOpts
+    this.client = null
+    this.subClient = null
+  }
+
+  _createClient () {
+    if (this.topology === 'cluster') {
+      return redis.createCluster(this.clientOpts)
+    }
+    if (this.topology === 'sentinel') {
+      return redis.createSentinel(this.clientOpts)
+    }
+    return redis.createClient(this.clientOpts)
+  }
+
+  get isOpen () {
+    return Boolean(this.client?.isOpen && this.subClient?.isOpen)
+  }
+
+  async connect () {
+    this.client = this._createClient()
+    this.subClient = this._createClient()
+
+    this.client.on('error', err => this.logger.error('RoomPlugin Redis Client Error', err))
+    this.subClient.on('error', err => this.logger.error('RoomPlugin Redis Sub Client Error', err))
+
+    await Promise.all([
+      this.client.connect(),
+      this.subClient.connect()
+    ])
+    this.logger.info('RoomPlugin Redis clients connected.')
+
+    if (this.topology === 'cluster') {
+      // Node clients are also created on demand, e.g. by the first (S)SUBSCRIBE on a shard, so a ready node
+      // only means a reconnection when its address was lost before, e.g. until a failover completed.
+      const lostNodes = new Set()
+      const address = ({ host, port }) => `${host}:${port}`
+      this.subClient.on('node-reconnecting', node => lostNodes.add(address(node)))
+      this.subClient.on('node-disconnect', node => lostNodes.add(address(node)))
+      this.subClient.on('node-ready', node => {
+        if (lostNodes.delete(address(node))) this.emit('reconnect')
+      })
+    } else if (this.topology === 'sentinel') {
+      this.subClient.on('topology-change', event => {
+        if (event.type === 'MASTER_CHANGE') this.emit('reconnect')
+      })
+    } else {
+      // Any later 'ready' event means the sub client reconnected after losing its connection.
+      this.subClient.on('ready', () => this.emit('reconnect'))
+    }
+  }
+
+  async disconnect () {
+    const disconnectPromises = []
+    for (const client of [this.subClient, this.client]) {
+      if (client?.isOpen) {
+        // Sentinel clients only support close().
+        disconnectPromises.push(this.topology === 'sentinel' ? client.close() : client.disconnect())
+      }
+    }
+    await Promise.all(disconnectPromises)
+
+    this.logger.info('RoomPlugin Redis clients disconnected.')
+  }
+
+  /**
+   * Runs a Lua script by its digest, loading the source on a script cache miss.
+   * @param {{source: string, sha: string}} script - A script from `lib/manager/scripts`.
+   * @param {string[]} keys - The keys the script touches.
+   * @param {string[]} args - The script arguments.
+   */
+  async runScript (script, keys, args) {
+    try {
+      return await this.client.evalSha(script.sha, { keys, arguments: args })
+    } catch (err) {
+      if (!String(err.message).startsWith('NOSCRIPT')) throw err
+      return this.client.eval(script.source, { keys, arguments: args })
+    }
+  }
+
+  /**
+   * Reads the hash, the history, the version and the epoch of a room in one transaction.
+   * @param {{fullDataKey: string, historyKey: string, versionKey: string, streamKey: string, metaKey: string}} keys
+   * @param {{stream: boolean}} [opts] - Read the history stream instead of the history list.
+   * @returns {Promise<{hash: object, list?: string[], stream?: Array<{id: string, message: object}>, version: string|null,
+   *   epoch: string|null}>} The raw stored values.
+   */
+  async fetchSnapshot (keys, { stream = false } = {}) {
+    // On a cluster the transaction is routed by its first key, so the keys must share a hash slot.
+    const multi = this.client.multi().hGetAll(keys.fullDataKey)
+    if (stream) {
+      multi.xRevRange(keys.streamKey, '+', '-')
+    } else {
+      multi.lRange(keys.historyKey, 0, -1)
+    }
+    const [hash, history, version, epoch] = await multi.get(keys.versionKey).hGet(keys.metaKey, 'epoch').exec()
+    return stream ? { hash, stream: history, version, epoch } : { hash, list: history, version, epoch }
+  }
+
+  /**
+   * Scans the whole keyspace; on a cluster every master node is scanned.
+   * @param {string} pattern - A glob-style pattern.
+   * @returns {Promise<string[]>} All keys matching the pattern.
+   */
+  async scanKeys (pattern) {
+    const keys = []
+    const scan = async client => {
+      for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        keys.push(key)
+      }
+    }
+
+    if (this.topology === 'cluster') {
+      for (const master of this.client.masters) {
+        await scan(await this.client.nodeClient(master))
+      }
+    } else if (this.topology === 'sentinel') {
+      await this.client.use(scan)
+    } else {
+      await scan(this.client)
+    }
+    return keys.flat()
+  }
+
+  /**
+   * @param {string|string[]} keys
+   */
+  async del (keys) {
+    if (this.topology === 'cluster') {
+      // Keys in different hash slots can't be deleted by a single command.
+      const counts = await Promise.all([].concat(keys).map(key => this.client.del(key)))
+      return counts.reduce((sum, count) => sum + count, 0)
+    }
+    return this.client.del(keys)
+  }
+
+  async subscribe (channel, listener) {
+    if (this.shardedPubSub) {
+      await this.subClient.sSubscribe(channel, listener)
+    } else {
+      await this.subClient.subscribe(channel, listener)
+    }
+  }
+
+  async unsubscribe (channel, listener) {
+    if (this.subClient?.isOpen) {
+      if (this.shardedPubSub) {
+        await this.subClient.sUnsubscribe(channel, listener)
+      } else {
+        await this.subClient.unsubscribe(channel, listener)
+      }
+    }
+  }
+
+  async pSubscribe (pattern, listener) {
+    if (this.shardedPubSub) {
+      throw new Error('Pattern rooms are not supported with sharded pub/sub.')
+    }
+    await this.subClient.pSubscribe(pattern, listener)
+  }
+
+  async pUnsubscribe (pattern, listener) {
+    if (this.subClient?.isOpen) {
+      await this.subClient.pUnsubscribe(pattern, listener)
+    }
+  }
+}
+
+module.exports = RedisAdapter
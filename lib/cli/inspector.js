@@ -0,0 +1,223 @@
+// Command-line inspector for the rooms stored by the plugin. It connects with the plugin's own options,
+// so it finds the rooms under the same prefix and key scheme and decodes them with the same codec.
+const path = require('path')
+const { parseArgs, format } = require('util')
+const RoomManager = require('../manager/roomManager')
+const { UPDATE_EVENTS } = require('../manager/updateIterator')
+
+const USAGE = `Usage: pomelo-room <command> [options]
+
+Commands:
+  list [pattern]            List the stored rooms, all or those matching a pattern like 'match:*'.
+  show <room>               Print the full data, history and version of a room.
+  tail <room|pattern>       Print the updates of a room or of the rooms matching a pattern as they happen.
+  publish <room> <json>     Publish a JSON object to a room.
+  delete <room> --yes       Delete a room; its consumers on every server are notified.
+
+Options:
+  -c, --config <file>       A JSON or JS file exporting the plugin options (redis, prefix, codec, ...).
+  -r, --redis <url>         The Redis URL, e.g. redis://127.0.0.1:6379, instead of the configured redis options.
+  -p, --prefix <prefix>     The key prefix, 'room' by default.
+      --codec <codec>       'json' or 'msgpack', as configured on the servers.
+      --history-mode <mode> 'list' or 'stream', the history mode of the room for show and publish.
+  -n, --limit <n>           show: print at most n history entries.
+      --count <n>           tail: exit after n updates.
+      --history-length <n>  publish: the history length of the room.
+      --resume-length <n>   publish: the update log length of the room.
+      --ttl <seconds>       publish: the TTL of the room.
+  -y, --yes                 delete: confirm the deletion.
+  -h, --help                Print this help.
+`
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  redis: { type: 'string', short: 'r' },
+  prefix: { type: 'string', short: 'p' },
+  codec: { type: 'string' },
+  'history-mode': { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  count: { type: 'string' },
+  'history-length': { type: 'string' },
+  'resume-length': { type: 'string' },
+  ttl: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+class UsageError extends Error {}
+
+/**
+ * @param {string|undefined} value - An option value.
+ * @param {string} name - The option name, for the error message.
+ * @returns {number|undefined}
+ */
+function toNumber (value, name) {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (!Number.isFinite(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative number.`)
+  }
+  return number
+}
+
+/**
+ * Resolves the plugin options from the config file and the command-line options.
+ * The inspector never acts as a server: presence heartbeats and retention sweeps are off.
+ * Its output is its own, so the plugin's informational logs are dropped and its errors printed as errors.
+ * @param {object} values - The parsed options.
+ * @param {function(string): void} error - Prints a line of error.
+ * @returns {object}
+ */
+function loadOptions (values, error) {
+  let opts = {}
+  if (values.config) {
+    opts = { ...require(path.resolve(values.config)) }
+  }
+  if (values.redis) {
+    opts.adapter = 'redis'
+    opts.redis = { url: values.redis }
+  }
+  if (values.prefix) opts.prefix = values.prefix
+  if (values.codec) opts.codec = values.codec
+  const logger = { info () {}, error: (...args) => error(format(...args)) }
+  return { ...opts, presence: false, retention: 0, logger }
+}
+
+/**
+ * @param {RoomManager} manager
+ * @param {string} pattern - A room name or pattern.
+ * @returns {Promise<string[]>} The sorted names of the stored rooms matching it.
+ */
+async function listRooms (manager, pattern) {
+  const base = manager._generateKeys(pattern).channelKey.replace(/:channel$/, '')
+  const names = new Set()
+  // Every update writes the version, the hash is also checked for rooms written by older versions.
+  for (const suffix of [':version', ':hash']) {
+    for (const key of await manager.adapter.scanKeys(base + suffix)) {
+      names.add(manager._parseRoomName(key.slice(0, -suffix.length)))
+    }
+  }
+  return Array.from(names).sort()
+}
+
+/**
+ * Prints the updates of a room until `count` updates were printed, the room ends or the process is interrupted.
+ * @returns {Promise<void>} Rejects if the room cannot be loaded.
+ */
+async function tail (manager, name, count, write) {
+  const room = manager.getRoom(name)
+  // Loading it first, since a room loaded by its listeners only reports a failure to 'error' listeners.
+  await room.getFullData()
+  return new Promise(resolve => {
+    let printed = 0
+    const done = () => {
+      process.removeListener('SIGINT', done)
+      resolve()
+    }
+    const print = line => {
+      write(JSON.stringify({ time: new Date().toISOString(), ...line }))
+      if (count && ++printed >= count) done()
+    }
+    for (const event of UPDATE_EVENTS) {
+      room.on(event, ({ type, data, removed, meta }) => {
+        print({ room: meta.room || name, type, version: meta.version, data, removed, reason: meta.reason })
+      })
+    }
+    room.on('presence', ({ type, userId, serverId, room: roomName, expired }) => {
+      print({ room: roomName || name, type: 'presence', event: type, userId, serverId, expired })
+    })
+    room.on('error', err => write(JSON.stringify({ time: new Date().toISOString(), error: err.message })))
+    room.once('destroy', done)
+    process.once('SIGINT', done)
+  })
+}
+
+/**
+ * Runs the inspector.
+ * @param {string[]} argv - The command-line arguments, without the node executable and script.
+ * @param {object} [io]
+ * @param {function(string): void} [io.write] - Prints a line of output.
+ * @param {function(string): void} [io.error] - Prints a line of error.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main (argv, { write = line => process.stdout.write(line + '\n'), error = line => process.stderr.write(line + '\n') } = {}) {
+  let values, positionals
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }))
+  } catch (err) {
+    error(err.message)
+    error(USAGE)
+    return 2
+  }
+  const [command, ...args] = positionals
+  if (values.help || !command) {
+    write(USAGE)
+    return values.help ? 0 : 2
+  }
+
+  let manager = null
+  try {
+    const historyMode = values['history-mode'] || 'list'
+    const commands = {
+      list: async ([pattern = '*']) => {
+        for (const name of await listRooms(manager, pattern)) write(name)
+      },
+      show: async ([name]) => {
+        const { fullData, history, version } = await manager.readRoom(requireRoom(name), { historyMode })
+        const limit = toNumber(values.limit, 'limit')
+        const entries = history.slice(0, limit).map(entry => historyMode === 'stream' ? entry : entry.data)
+        write(JSON.stringify({ room: name, version, fullData, history: entries }, null, 2))
+      },
+      tail: async ([name]) => {
+        await tail(manager, requireRoom(name), toNumber(values.count, 'count'), write)
+      },
+      publish: async ([name, json]) => {
+        let data
+        try {
+          data = JSON.parse(json)
+        } catch (err) {
+          throw new UsageError(`The data to publish must be a JSON object: ${err.message}`)
+        }
+        const version = await manager.publish(requireRoom(name), data, {
+          historyMode,
+          historyLength: toNumber(values['history-length'], 'history-length') || 0,
+          resumeLength: toNumber(values['resume-length'], 'resume-length') || 0,
+          ttl: toNumber(values.ttl, 'ttl') || 0
+        })
+        write(JSON.stringify({ room: name, version }))
+      },
+      delete: async ([name]) => {
+        requireRoom(name)
+        if (!values.yes) {
+          throw new UsageError(`Deleting room ${name} cannot be undone, pass --yes to confirm.`)
+        }
+        write(JSON.stringify({ room: name, deleted: await manager.deleteRoom(name) }))
+      }
+    }
+    if (!commands[command]) {
+      throw new UsageError(`Unknown command: ${command}.`)
+    }
+
+    manager = new RoomManager(null, loadOptions(values, error))
+    await manager.start()
+    await commands[command](args)
+    return 0
+  } catch (err) {
+    error(err.message)
+    if (err instanceof UsageError) error(USAGE)
+    return err instanceof UsageError ? 2 : 1
+  } finally {
+    if (manager) await manager.stop().catch(() => {})
+  }
+}
+
+function requireRoom (name) {
+  if (!name) {
+    throw new UsageError('A room name is required.')
+  }
+  return name
+}
+
+module.exports = {
+  main
+}
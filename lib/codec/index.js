@@ -0,0 +1,27 @@
+const JsonCodec = require('./jsonCodec')
+const MsgpackCodec = require('./msgpackCodec')
+
+/**
+ * Resolves the `codec` plugin option to a codec instance.
+ * @param {string|{encode: function, decode: function}} [codec] - 'json' (default), 'msgpack',
+ *   or a custom object whose `encode(value)` returns a string and `decode(string)` reverses it.
+ * @returns {{encode: function, decode: function}}
+ */
+function createCodec (codec = 'json') {
+  if (codec === 'json') {
+    return new JsonCodec()
+  }
+  if (codec === 'msgpack') {
+    return new MsgpackCodec()
+  }
+  if (codec && typeof codec.encode === 'function' && typeof codec.decode === 'function') {
+    return codec
+  }
+  throw new Error(`Unknown codec: ${codec}. Use 'json', 'msgpack' or an object with encode/decode functions.`)
+}
+
+module.exports = {
+  createCodec,
+  JsonCodec,
+  MsgpackCodec
+}
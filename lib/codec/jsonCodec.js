@@ -0,0 +1,31 @@
+class JsonCodec {
+  /**
+   * The default codec: every value is stored and transported as JSON text.
+   */
+  constructor () {
+    this.name = 'json'
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string}
+   */
+  encode (value) {
+    return JSON.stringify(value)
+  }
+
+  /**
+   * @param {string} text
+   * @returns {*}
+   */
+  decode (text) {
+    try {
+      return JSON.parse(text)
+    } catch (e) {
+      // Hash values written before the codec layer existed are raw strings.
+      return text
+    }
+  }
+}
+
+module.exports = JsonCodec
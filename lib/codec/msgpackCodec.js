@@ -0,0 +1,33 @@
+class MsgpackCodec {
+  /**
+   * Encodes values with MessagePack. The binary output is carried as base64 text,
+   * so it travels through hashes, lists and channels like any other string.
+   * Requires the optional `@msgpack/msgpack` package.
+   */
+  constructor () {
+    this.name = 'msgpack'
+    try {
+      this.msgpack = require('@msgpack/msgpack')
+    } catch (e) {
+      throw new Error('The msgpack codec requires the "@msgpack/msgpack" package to be installed.')
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string}
+   */
+  encode (value) {
+    return Buffer.from(this.msgpack.encode(value)).toString('base64')
+  }
+
+  /**
+   * @param {string} text
+   * @returns {*}
+   */
+  decode (text) {
+    return this.msgpack.decode(Buffer.from(text, 'base64'))
+  }
+}
+
+module.exports = MsgpackCodec
@@ -1,4 +1,5 @@
 const RoomService = require('../service/roomService')
+const roomAdmin = require('../modules/roomAdmin')
 
 class RoomComponent {
   constructor (app, opts) {
@@ -10,14 +11,19 @@ class RoomComponent {
     this.roomService = new RoomService(app, this.opts)
     // 将服务注册到 app 上下文，方便业务逻辑层调用
     this.app.set('roomService', this.roomService, true)
+
+    // 注册管理模块，运维可在 master 上查看和管理各服务器的房间；admin 为 false 时不注册
+    if (this.opts.admin !== false && typeof app.registerAdmin === 'function') {
+      app.registerAdmin(roomAdmin, { ...this.opts.admin, app })
+    }
   }
 
   /**
    * Pomelo aync start lifecycle callback.
-   * @param {function} cb
+   * @param {function} cb - Gets the error if the service failed to start.
    */
   start (cb) {
-    this.roomService.start(cb)
+    this.roomService.start().then(() => process.nextTick(cb), err => process.nextTick(cb, err))
   }
 
   /**
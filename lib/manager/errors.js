@@ -0,0 +1,92 @@
+/**
+ * Thrown when an authorization hook denies an action on a room.
+ * Errors thrown by the hooks themselves are passed on unchanged.
+ */
+class AccessDeniedError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} action - 'join', 'publish' or 'subscribePattern'.
+   * @param {string} room - The name or pattern of the room.
+   * @param {string|number} [userId] - The user denied, for joins.
+   */
+  constructor (message, action, room, userId) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = 'ROOM_ACCESS_DENIED'
+    this.action = action
+    this.room = room
+    if (userId !== undefined) this.userId = userId
+  }
+}
+
+// Denied by the canJoin hook.
+class JoinDeniedError extends AccessDeniedError {
+  constructor (room, userId) {
+    super(`User ${userId} is not allowed to join room ${room}.`, 'join', room, userId)
+  }
+}
+
+// Denied by the canSubscribePattern hook.
+class PatternSubscriptionDeniedError extends AccessDeniedError {
+  constructor (pattern, userId) {
+    super(`User ${userId} is not allowed to subscribe to the rooms matching ${pattern}.`, 'subscribePattern', pattern, userId)
+  }
+}
+
+// Denied by the canPublish hook.
+class PublishDeniedError extends AccessDeniedError {
+  /**
+   * @param {string} room
+   * @param {string} operation - The denied update, e.g. 'publish' or 'incr'.
+   */
+  constructor (room, operation) {
+    super(`Updating room ${room} (${operation}) is not allowed.`, 'publish', room)
+    this.operation = operation
+  }
+}
+
+/**
+ * Thrown when an update does not match the schema registered for its room.
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} room - The name of the room.
+   * @param {Array<{path: string, message: string}>} errors - The field-level errors, paths start with the field.
+   */
+  constructor (room, errors) {
+    super(`Invalid update of room ${room}: ${errors.map(({ path, message }) => `${path || 'update'} ${message}`).join('; ')}.`)
+    this.name = this.constructor.name
+    this.code = 'ROOM_SCHEMA_INVALID'
+    this.room = room
+    this.errors = errors
+  }
+}
+
+/**
+ * Thrown when other updates kept changing the fields a change was computed from, so it was never written.
+ * Nothing was written; the change may succeed when tried again later.
+ */
+class FieldConflictError extends Error {
+  /**
+   * @param {string} room - The name of the room.
+   * @param {string[]} fields - The fields the change was computed from.
+   * @param {number} attempts - The number of times it was computed and tried.
+   */
+  constructor (room, fields, attempts) {
+    super(`Fields ${fields.join(', ')} of room ${room} kept changing, the update was not written after ${attempts} attempts.`)
+    this.name = this.constructor.name
+    this.code = 'ROOM_FIELD_CONFLICT'
+    this.room = room
+    this.fields = fields
+    this.attempts = attempts
+  }
+}
+
+module.exports = {
+  AccessDeniedError,
+  FieldConflictError,
+  JoinDeniedError,
+  PatternSubscriptionDeniedError,
+  PublishDeniedError,
+  SchemaValidationError
+}
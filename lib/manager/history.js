@@ -0,0 +1,51 @@
+// Helpers for the stream history mode, where history entries have `<ms>-<seq>` stream ids.
+
+const HISTORY_MODES = ['list', 'stream']
+
+/**
+ * Orders stream entry ids by time, then by sequence number.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if `a` is older than `b`, positive if newer, 0 if equal.
+ */
+function compareStreamIds (a, b) {
+  const [msA, seqA] = a.split('-').map(Number)
+  const [msB, seqB] = b.split('-').map(Number)
+  return msA - msB || seqA - seqB
+}
+
+/**
+ * Converts a history query bound to a stream range bound.
+ * Timestamps and dates cover their whole millisecond, entry id strings are used as is.
+ * @param {number|Date|string} [value]
+ * @param {string} fallback - The bound to use when no value is given, '-' or '+'.
+ * @returns {string}
+ */
+function toStreamBound (value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback
+  }
+  if (value instanceof Date) {
+    return String(value.getTime())
+  }
+  if (typeof value === 'number') {
+    return String(Math.floor(value))
+  }
+  return String(value)
+}
+
+/**
+ * @param {string} mode
+ * @throws {Error} If the mode is unknown.
+ */
+function assertHistoryMode (mode) {
+  if (!HISTORY_MODES.includes(mode)) {
+    throw new Error(`Unknown history mode: ${mode}. Use 'list' or 'stream'.`)
+  }
+}
+
+module.exports = {
+  compareStreamIds,
+  toStreamBound,
+  assertHistoryMode
+}
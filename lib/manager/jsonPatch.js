@@ -0,0 +1,209 @@
+// RFC 6902 JSON Patch and RFC 7386 merge patch support for nested room fields.
+// A room's full data is the patched document, so the first segment of a path is a field of the room.
+const { isDeepStrictEqual } = require('util')
+
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/
+
+/**
+ * Splits a JSON pointer into its unescaped reference tokens.
+ * @param {string} pointer - e.g. '/players/p1/hp'.
+ * @returns {string[]}
+ * @throws {Error} If the pointer is not a string starting with '/'.
+ */
+function parsePointer (pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer: ${pointer}. Paths start with '/' and a field of the room.`)
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * @param {string} token
+ * @returns {string} The token escaped for a JSON pointer.
+ */
+function escapeToken (token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function isPlainObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Lists the room fields a patch reads or writes, the first tokens of its paths.
+ * @param {Array<object>} operations
+ * @returns {string[]}
+ * @throws {Error} If an operation is malformed.
+ */
+function patchedFields (operations) {
+  const fields = new Set()
+  for (const operation of operations) {
+    if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+      throw new Error('Patch operations must be objects with an op and a path.')
+    }
+    fields.add(parsePointer(operation.path)[0])
+    if (operation.op === 'move' || operation.op === 'copy') {
+      fields.add(parsePointer(operation.from)[0])
+    }
+  }
+  return Array.from(fields)
+}
+
+/**
+ * Resolves the container holding the value a pointer refers to.
+ * @returns {{parent: object|Array, key: string}}
+ */
+function resolveParent (document, path) {
+  const tokens = parsePointer(path)
+  let parent = document
+  for (const token of tokens.slice(0, -1)) {
+    parent = childOf(parent, token)
+    if (parent === undefined) {
+      throw new Error(`Patch path ${path} does not exist.`)
+    }
+  }
+  if (typeof parent !== 'object' || parent === null) {
+    throw new Error(`Patch path ${path} does not point into an object or an array.`)
+  }
+  return { parent, key: tokens[tokens.length - 1] }
+}
+
+function childOf (container, key) {
+  if (Array.isArray(container)) {
+    return ARRAY_INDEX.test(key) ? container[Number(key)] : undefined
+  }
+  if (isPlainObject(container) && Object.prototype.hasOwnProperty.call(container, key)) {
+    return container[key]
+  }
+  return undefined
+}
+
+function getValue (document, path) {
+  const { parent, key } = resolveParent(document, path)
+  const value = childOf(parent, key)
+  if (value === undefined) {
+    throw new Error(`Patch path ${path} does not exist.`)
+  }
+  return value
+}
+
+function addValue (document, path, value) {
+  const { parent, key } = resolveParent(document, path)
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key)
+    if (!(key === '-' || ARRAY_INDEX.test(key)) || index > parent.length) {
+      throw new Error(`Patch path ${path} is not a valid array index.`)
+    }
+    parent.splice(index, 0, value)
+  } else {
+    parent[key] = value
+  }
+}
+
+function removeValue (document, path) {
+  const value = getValue(document, path)
+  const { parent, key } = resolveParent(document, path)
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1)
+  } else {
+    delete parent[key]
+  }
+  return value
+}
+
+function requireValue (operation) {
+  if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+    throw new Error(`Patch operation ${operation.op} at ${operation.path} requires a value.`)
+  }
+  return structuredClone(operation.value)
+}
+
+/**
+ * Applies JSON Patch operations to a document in place.
+ * @param {object} document - The document, changed in place.
+ * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations
+ * @returns {object} The document.
+ * @throws {Error} If an operation fails, including a failed 'test'.
+ */
+function applyPatch (document, operations) {
+  for (const operation of operations) {
+    const { op, path } = operation
+    switch (op) {
+      case 'add':
+        addValue(document, path, requireValue(operation))
+        break
+      case 'remove':
+        removeValue(document, path)
+        break
+      case 'replace': {
+        const value = requireValue(operation)
+        removeValue(document, path)
+        addValue(document, path, value)
+        break
+      }
+      case 'move': {
+        if (path.startsWith(`${operation.from}/`)) {
+          throw new Error(`Patch cannot move ${operation.from} into itself.`)
+        }
+        addValue(document, path, removeValue(document, operation.from))
+        break
+      }
+      case 'copy':
+        addValue(document, path, structuredClone(getValue(document, operation.from)))
+        break
+      case 'test':
+        if (!isDeepStrictEqual(getValue(document, path), operation.value)) {
+          throw new Error(`Patch test failed at ${path}.`)
+        }
+        break
+      default:
+        throw new Error(`Unknown patch operation: ${op}.`)
+    }
+  }
+  return document
+}
+
+/**
+ * Turns a merge patch into the JSON Patch operations that apply it to a document:
+ * objects are merged recursively, null removes a member, any other value replaces it.
+ * @param {object} document - The current document.
+ * @param {object} patch - The merge patch.
+ * @param {string} [path] - The pointer of the document.
+ * @returns {Array<object>}
+ */
+function mergeOperations (document, patch, path = '') {
+  const operations = []
+  for (const key of Object.keys(patch)) {
+    const value = patch[key]
+    const memberPath = `${path}/${escapeToken(key)}`
+    const current = childOf(document, key)
+    if (value === null) {
+      if (current !== undefined) operations.push({ op: 'remove', path: memberPath })
+    } else if (isPlainObject(value) && isPlainObject(current)) {
+      operations.push(...mergeOperations(current, value, memberPath))
+    } else {
+      operations.push({ op: 'add', path: memberPath, value: isPlainObject(value) ? withoutNulls(value) : value })
+    }
+  }
+  return operations
+}
+
+// A merged object that replaces a non-object value does not keep the members it removes.
+function withoutNulls (object) {
+  const result = {}
+  for (const key of Object.keys(object)) {
+    const value = object[key]
+    if (value !== null) {
+      result[key] = isPlainObject(value) ? withoutNulls(value) : value
+    }
+  }
+  return result
+}
+
+module.exports = {
+  parsePointer,
+  escapeToken,
+  patchedFields,
+  applyPatch,
+  mergeOperations
+}
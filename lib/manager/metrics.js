@@ -0,0 +1,211 @@
+// Counters and latency histograms of a room manager, read by `RoomManager#getStats`
+// and exported in the Prometheus text format.
+
+// Latency histogram bucket bounds, in milliseconds.
+const LATENCY_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
+
+// Publish rates are averaged over this many seconds.
+const RATE_WINDOW = 60
+
+const COUNTERS = {
+  publishes: 'Updates written to rooms by this server.',
+  messagesReceived: 'Update messages received from room channels.',
+  updatesDispatched: 'Updates delivered to room listeners and joined users.',
+  callbackErrors: 'Errors thrown or rejected by room listeners and joined users\' callbacks.',
+  initFailures: 'Rooms that failed to load.',
+  roomsCreated: 'Room instances created.',
+  idleRoomsDestroyed: 'Room instances destroyed for being idle.',
+  redisCommands: 'Scripts run and snapshots fetched.',
+  redisErrors: 'Scripts and snapshot fetches that failed.'
+}
+
+const LATENCIES = {
+  initialization: 'Time to subscribe to a room and load its data.',
+  redis: 'Round-trip time of scripts and snapshot fetches.'
+}
+
+class Histogram {
+  constructor () {
+    this.counts = new Array(LATENCY_BUCKETS.length).fill(0)
+    this.count = 0
+    this.sum = 0
+    this.max = 0
+  }
+
+  observe (ms) {
+    const index = LATENCY_BUCKETS.findIndex(bound => ms <= bound)
+    if (index >= 0) this.counts[index]++
+    this.count++
+    this.sum += ms
+    this.max = Math.max(this.max, ms)
+  }
+
+  /**
+   * @returns {{count: number, sumMs: number, avgMs: number, maxMs: number, buckets: Array<{le: number, count: number}>}}
+   *   The bucket counts are cumulative, as in Prometheus.
+   */
+  toJSON () {
+    let cumulative = 0
+    return {
+      count: this.count,
+      sumMs: this.sum,
+      avgMs: this.count > 0 ? this.sum / this.count : 0,
+      maxMs: this.max,
+      buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: (cumulative += this.counts[i]) }))
+    }
+  }
+}
+
+// Counts events per second over the last RATE_WINDOW seconds.
+class RateWindow {
+  constructor () {
+    this.buckets = new Array(RATE_WINDOW).fill(0)
+    this.second = 0 // The second of the latest bucket.
+  }
+
+  increment (now = Date.now()) {
+    this._advance(now)
+    this.buckets[this.second % RATE_WINDOW]++
+  }
+
+  /**
+   * @returns {number} The average number of events per second over the window.
+   */
+  rate (now = Date.now()) {
+    this._advance(now)
+    return this.buckets.reduce((sum, count) => sum + count, 0) / RATE_WINDOW
+  }
+
+  _advance (now) {
+    const second = Math.floor(now / 1000)
+    const elapsed = Math.min(second - this.second, RATE_WINDOW)
+    for (let i = 1; i <= elapsed; i++) {
+      this.buckets[(this.second + i) % RATE_WINDOW] = 0
+    }
+    this.second = Math.max(this.second, second)
+  }
+}
+
+class Metrics {
+  constructor () {
+    this.counters = {}
+    for (const name in COUNTERS) {
+      this.counters[name] = 0
+    }
+    this.latencies = {}
+    for (const name in LATENCIES) {
+      this.latencies[name] = new Histogram()
+    }
+    this.publishRate = new RateWindow()
+  }
+
+  /**
+   * @param {string} name - One of the counters, e.g. 'publishes'.
+   * @param {number} [by=1]
+   */
+  increment (name, by = 1) {
+    this.counters[name] += by
+    if (name === 'publishes') {
+      this.publishRate.increment()
+    }
+  }
+
+  /**
+   * @param {string} name - 'initialization' or 'redis'.
+   * @param {number} ms - The measured latency.
+   */
+  observe (name, ms) {
+    this.latencies[name].observe(ms)
+  }
+
+  /**
+   * Times a Redis round trip.
+   * @param {Promise<*>} promise - The pending command.
+   * @returns {Promise<*>} Its result.
+   */
+  async timeRedis (promise) {
+    const start = process.hrtime.bigint()
+    this.counters.redisCommands++
+    try {
+      return await promise
+    } catch (err) {
+      this.counters.redisErrors++
+      throw err
+    } finally {
+      this.observe('redis', Number(process.hrtime.bigint() - start) / 1e6)
+    }
+  }
+
+  /**
+   * @returns {{counters: object, publishRate: number, latencies: object}}
+   */
+  toJSON () {
+    const latencies = {}
+    for (const name in this.latencies) {
+      latencies[name] = this.latencies[name].toJSON()
+    }
+    return { counters: { ...this.counters }, publishRate: this.publishRate.rate(), latencies }
+  }
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labels (pairs) {
+  const entries = Object.entries(pairs)
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : ''
+}
+
+function toSnakeCase (name) {
+  return name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)
+}
+
+/**
+ * Formats the stats of a room manager in the Prometheus text exposition format.
+ * Every sample is labelled with the server id, so the servers of a cluster can be told apart.
+ * @param {object} stats - As returned by `RoomManager#getStats`.
+ * @param {object} [opts]
+ * @param {string} [opts.prefix='pomelo_room'] - The prefix of the metric names.
+ * @param {boolean} [opts.perRoom=true] - Whether to export the joined users of each room,
+ *   one series per room.
+ * @returns {string}
+ */
+function formatPrometheus (stats, { prefix = 'pomelo_room', perRoom = true } = {}) {
+  const lines = []
+  const server = { server: stats.serverId }
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`)
+    for (const [suffix, sampleLabels, value] of samples) {
+      lines.push(`${prefix}_${name}${suffix}${labels({ ...server, ...sampleLabels })} ${value}`)
+    }
+  }
+
+  metric('rooms', 'gauge', 'Live room instances.', [
+    ['', { state: 'initialized' }, stats.rooms.initialized],
+    ['', { state: 'loading' }, stats.rooms.total - stats.rooms.initialized]
+  ])
+  metric('users', 'gauge', 'Users joined to the rooms of this server.', [['', {}, stats.users]])
+  if (perRoom) {
+    metric('room_users', 'gauge', 'Users joined to a room.', stats.perRoom.map(room => ['', { room: room.name }, room.users]))
+  }
+  metric('publish_rate', 'gauge', `Updates written per second, averaged over ${RATE_WINDOW} seconds.`, [['', {}, stats.publishRate]])
+  for (const name in COUNTERS) {
+    metric(`${toSnakeCase(name)}_total`, 'counter', COUNTERS[name], [['', {}, stats.counters[name]]])
+  }
+  for (const name in LATENCIES) {
+    const histogram = stats.latencies[name]
+    metric(`${toSnakeCase(name)}_seconds`, 'histogram', LATENCIES[name], [
+      ...histogram.buckets.map(({ le, count }) => ['_bucket', { le: le / 1000 }, count]),
+      ['_bucket', { le: '+Inf' }, histogram.count],
+      ['_sum', {}, histogram.sumMs / 1000],
+      ['_count', {}, histogram.count]
+    ])
+  }
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  Metrics,
+  formatPrometheus
+}
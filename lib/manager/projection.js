@@ -0,0 +1,135 @@
+const { parsePointer } = require('./jsonPatch')
+
+class Projection {
+  /**
+   * Restricts what a subscriber sees of a room: only some fields, a transformed view, or only
+   * the updates passing a filter. Updates that change none of the visible fields are dropped,
+   * so a subscriber is only called when something it can see changed.
+   * @param {object} opts
+   * @param {string[]} [opts.fields] - The fields to show, all by default.
+   * @param {string[]} [opts.omitFields] - The fields to hide.
+   * @param {function(object, *): object} [opts.transform] - Maps the visible fields of a room to what the
+   *   subscriber gets, called with the full data, then with the data of each update, and the extra data.
+   * @param {function(object, *): boolean} [opts.filter] - Gets each projected update and the extra data,
+   *   returns false to skip it. Not called for resyncs and closes.
+   * @param {boolean} patternMode - Whether the full data maps source room names to their data.
+   */
+  constructor ({ fields, omitFields, transform, filter }, patternMode) {
+    for (const [name, list] of [['fields', fields], ['omitFields', omitFields]]) {
+      if (list !== undefined && (!Array.isArray(list) || list.some(field => typeof field !== 'string'))) {
+        throw new Error(`The ${name} option must be an array of field names.`)
+      }
+    }
+    this.fields = fields ? new Set(fields) : null
+    this.omitFields = omitFields ? new Set(omitFields) : null
+    this.transform = transform || null
+    this.filter = filter || null
+    this.patternMode = patternMode
+    this.lastFullData = null // The full data snapshot projected last, and its projection.
+    this.lastProjected = null
+  }
+
+  /**
+   * @param {object} opts - The join options.
+   * @param {boolean} patternMode
+   * @returns {Projection|null} A projection, or null if the options do not ask for one.
+   */
+  static from (opts, patternMode) {
+    if (!opts.fields && !opts.omitFields && !opts.transform && !opts.filter) {
+      return null
+    }
+    return new Projection(opts, patternMode)
+  }
+
+  /**
+   * @param {string} field
+   * @returns {boolean} Whether the field is visible.
+   */
+  includes (field) {
+    return (!this.fields || this.fields.has(field)) && !(this.omitFields && this.omitFields.has(field))
+  }
+
+  /**
+   * @param {object|null} fullData - A frozen full data snapshot, null with the deltaOnly option.
+   * @param {*} extraData
+   * @returns {object|null} The visible full data.
+   */
+  fullData (fullData, extraData) {
+    if (!fullData) {
+      return fullData
+    }
+    if (fullData !== this.lastFullData) {
+      let projected
+      if (this.patternMode) {
+        projected = {}
+        for (const roomName in fullData) {
+          projected[roomName] = this._project(fullData[roomName], extraData)
+        }
+        projected = Object.freeze(projected)
+      } else {
+        projected = this._project(fullData, extraData)
+      }
+      this.lastFullData = fullData
+      this.lastProjected = projected
+    }
+    return this.lastProjected
+  }
+
+  /**
+   * @param {{type: string, fullData: object|null, data: object|null, removed: string[], meta: object}} update
+   * @param {*} extraData
+   * @returns {object|null} The visible update, or null if it changes nothing visible or is filtered out.
+   */
+  update ({ type, fullData, data, removed, meta }, extraData) {
+    const visibleRemoved = removed.filter(field => this.includes(field))
+    let visibleData = data && this._pick(data)
+    if (type === 'data' || type === 'delete') {
+      if ((!visibleData || Object.keys(visibleData).length === 0) && visibleRemoved.length === 0) {
+        return null
+      }
+    }
+    if (visibleData && this.transform) {
+      visibleData = Object.freeze(this.transform(visibleData, extraData))
+    }
+
+    const visibleMeta = { ...meta, removed: visibleRemoved }
+    if (meta.patch) {
+      const patch = this.transform ? [] : meta.patch.filter(operation => this._patchIsVisible(operation))
+      if (patch.length > 0) {
+        visibleMeta.patch = patch
+      } else {
+        delete visibleMeta.patch
+      }
+    }
+
+    const visible = { type, fullData: this.fullData(fullData, extraData), data: visibleData, removed: visibleRemoved, meta: visibleMeta }
+    if (this.filter && type !== 'resync' && type !== 'close' && !this.filter(visible, extraData)) {
+      return null
+    }
+    return visible
+  }
+
+  _project (data, extraData) {
+    const picked = this._pick(data)
+    return this.transform ? Object.freeze(this.transform(picked, extraData)) : picked
+  }
+
+  _pick (data) {
+    if (!this.fields && !this.omitFields) {
+      return data
+    }
+    const picked = {}
+    for (const field in data) {
+      if (this.includes(field)) {
+        picked[field] = data[field]
+      }
+    }
+    return Object.freeze(picked)
+  }
+
+  _patchIsVisible ({ path, from }) {
+    return this.includes(parsePointer(path)[0]) && (from === undefined || this.includes(parsePointer(from)[0]))
+  }
+}
+
+module.exports = Projection
@@ -1,37 +1,128 @@
-class Room {
+const { EventEmitter } = require('events')
+const UpdateIterator = require('./updateIterator')
+const UpdateCoalescer = require('./updateCoalescer')
+const Projection = require('./projection')
+const { compareStreamIds, assertHistoryMode } = require('./history')
+const { PRESENCE_PREFIX, CONTROL_PREFIX, parseUpdateMessage } = require('./scripts')
+const { parsePointer } = require('./jsonPatch')
+const { SchemaValidationError } = require('./errors')
+
+const { UPDATE_EVENTS } = UpdateIterator
+// Listening to any of these loads the room and keeps it from going idle.
+const CONSUMER_EVENTS = [...UPDATE_EVENTS, 'presence']
+
+/**
+ * Freezes a decoded value and everything it contains, so it can be shared between
+ * snapshots and consumers without copying.
+ * @param {*} value
+ * @returns {*} The value itself.
+ */
+function deepFreeze (value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value)
+    for (const key of Object.keys(value)) {
+      deepFreeze(value[key])
+    }
+  }
+  return value
+}
+
+/**
+ * @param {Array<{path: string}>} errors - Schema errors.
+ * @returns {Set<string>|null} The fields the errors are about, or null if an error is about a whole update.
+ */
+function invalidFields (errors) {
+  const fields = new Set()
+  for (const { path } of errors) {
+    if (!path) return null
+    fields.add(parsePointer(path)[0])
+  }
+  return fields
+}
+
+class Room extends EventEmitter {
   /**
    * Represents a single room for data synchronization.
+   *
+   * Consumers either `join` with a callback or listen to the room's events:
+   * - 'data' and 'delete' `(update)`: published data and removed fields,
+   * - 'resync' `(update)`: the room was reloaded after a Redis reconnect,
+   * - 'close' `(update)`: the room was deleted and its data dropped, `meta.reason` tells why,
+   *   or, with `meta.final` set, it was closed by its producer and is destroyed right after;
+   *   for a pattern room this is about the source room `meta.room`,
+   * - 'destroy' `()`: the room was destroyed and emits no more updates,
+   * - 'presence' `({ type, userId, serverId, room, expired })`: a member joined or left on any server,
+   *   `expired` is set when it left because its server stopped sending heartbeats,
+   * - 'error' `(err)`: a listener or callback threw, or a message could not be applied.
+   * An update is `{ type, fullData, data, removed, meta }`, see `join` for `meta`.
+   * Full data snapshots and update data are frozen and shared by all consumers.
+   * Listening to 'data', 'delete', 'resync', 'close' or 'presence' loads the room and keeps it from going idle.
    * @param {RoomManager} manager - The RoomManager instance.
-   * @param {object} subClient - The redis client for pub/sub.
+   * @param {object} adapter - The storage and transport adapter, see `lib/adapter`.
    * @param {string} name - The name of the room, e.g., 'match:123' or 'chat:*'.
-   * @param {{fullDataKey: string, historyKey: string, channelKey: string}} keys - Redis keys for the room.
+   * @param {{fullDataKey: string, historyKey: string, versionKey: string, channelKey: string}} keys - Redis keys for the room.
    * @param {object} [opts] - Room options.
    */
-  constructor (manager, subClient, name, keys, opts = {}) {
+  constructor (manager, adapter, name, keys, opts = {}) {
+    super()
+    this.setMaxListeners(0) // Every joined user adds a listener.
     this.manager = manager
-    this.subClient = subClient
+    this.adapter = adapter
     this.name = name
     this.keys = keys
 
     this.opts = {
       historyLength: 0,
+      historyMode: 'list', // Or 'stream', to keep the history in a Redis stream and query it with getHistory.
+      resumeLength: 0, // Log this many updates for consumers resuming with join's sinceVersion.
+      ttl: 0, // Expire the room's keys this many seconds after its last update, 0 to keep them.
       enableFullData: true,
       cleanOnStartUp: false, // This option is only effective on the first publish of a producer room.
       enablePublish: false,
+      deltaOnly: false, // Deliver updates without full data, which is then read with getSnapshot().
+      throttle: 0, // Coalesce updates delivered within this many milliseconds, see UpdateCoalescer.
+      maxRate: 0, // Or coalesce updates to at most this many deliveries per second.
+      closeTimeout: 5, // Seconds close() waits for its close message to come back before ending the room itself.
       ...opts
     }
 
+    assertHistoryMode(this.opts.historyMode)
     this.patternMode = name.includes('*')
 
-    this.callbacks = new Map() // <userId, { onDataCB, extraData }>
-    this.fullData = {}
+    this.callbacks = new Map() // <userId, { onDataCB, extraData, listener }>
+    this.fullData = {} // Merged in place, consumers get frozen snapshots of it.
+    this.snapshot = null // The frozen copy of fullData, until the next change.
+    this.roomSnapshots = new Map() // <roomName, frozen copy> of the full data per source room of a pattern room.
     this.historyData = []
+    this.versions = new Map() // <channelKey, version> of the last update applied per source room
+    this.epochs = new Map() // <channelKey, epoch> of those versions, see `parseUpdateMessage`.
+    this.sourceRooms = new Set() // Names of the rooms currently matched by a pattern room.
+    this.pendingMessages = null // Messages buffered while the initial snapshot is being fetched.
     this.isInitialized = false
     this.isCleaned = !this.opts.cleanOnStartUp
 
     this.initializationPromise = null
     this.idleSince = null
     this.messageHandler = null
+
+    const interval = UpdateCoalescer.intervalOf(this.opts)
+    this.coalescer = interval > 0 ? new UpdateCoalescer(interval, update => this._emitUpdate(update)) : null
+
+    this.on('newListener', event => {
+      if (!CONSUMER_EVENTS.includes(event)) return
+      this.idleSince = null
+      if (!this.isInitialized) {
+        this._ensureInitialized().catch(err => {
+          // Already logged by _initialize, only forward it to listeners.
+          if (this.listenerCount('error') > 0) this.emit('error', err)
+        })
+      }
+    })
+    this.on('removeListener', event => {
+      if (CONSUMER_EVENTS.includes(event) && !this._hasConsumers() && this.isInitialized) {
+        this.idleSince = Date.now()
+      }
+    })
   }
 
   /**
@@ -39,46 +130,351 @@ class Room {
    * This is a convenience method that calls the central publish implementation in RoomManager.
    * @param {object} data - The data to publish.
    * @param {object} [opts] - Temporary options to override room's default opts for this publish.
+   * @returns {Promise<number>} The room version produced by this update.
    */
   async publish (data, opts = {}) {
+    // Delegate the actual publishing to the manager.
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.publish(this.name, data, finalOpts)
+  }
+
+  /**
+   * Removes fields from the room's full data. (Producer-side)
+   * Consumers drop the fields from their full data and are notified through `meta.removed`.
+   * @param {string|string[]} fields - The field(s) to remove.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number>} The room version produced by this update.
+   */
+  async remove (fields, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.remove(this.name, fields, finalOpts)
+  }
+
+  /**
+   * Applies JSON Patch operations to nested values atomically, see `RoomManager#patch`. (Producer-side)
+   * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the patch changed nothing.
+   */
+  async patch (operations, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.patch(this.name, operations, finalOpts)
+  }
+
+  /**
+   * Deep merges data atomically, see `RoomManager#merge`. (Producer-side)
+   * @param {object} data - The data to merge, null removes a member.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the merge changed nothing.
+   */
+  async merge (data, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.merge(this.name, data, finalOpts)
+  }
+
+  /**
+   * Atomically increments an integer field, see `RoomManager#incr`. (Producer-side)
+   * @param {string} field - The field to increment.
+   * @param {number} [by=1] - The integer to add, can be negative.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incr (field, by = 1, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.incr(this.name, field, by, finalOpts)
+  }
+
+  /**
+   * Atomically increments a numeric field by a floating point number. (Producer-side)
+   * @param {string} field - The field to increment.
+   * @param {number} by - The number to add, can be negative.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incrFloat (field, by, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.incrFloat(this.name, field, by, finalOpts)
+  }
+
+  /**
+   * Atomically sets a field if it does not exist yet. (Producer-side)
+   * @param {string} field - The field to set.
+   * @param {*} value - The value to set.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async setIfAbsent (field, value, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.setIfAbsent(this.name, field, value, finalOpts)
+  }
+
+  /**
+   * Atomically sets a field if it holds the expected value, compared deeply. (Producer-side)
+   * @param {string} field - The field to set.
+   * @param {*} expected - The expected current value, undefined for a field that does not exist.
+   * @param {*} value - The value to set.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async compareAndSet (field, expected, value, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.compareAndSet(this.name, field, expected, value, finalOpts)
+  }
+
+  /**
+   * Atomically appends items to a list field. (Producer-side)
+   * @param {string} field - The list field.
+   * @param {Array} items - The items to append.
+   * @param {object} [opts] - Temporary options to override room's default opts for this update.
+   * @returns {Promise<number>} The new length of the list.
+   */
+  async append (field, items, opts = {}) {
+    const finalOpts = await this._prepareUpdate(opts)
+    return this.manager.append(this.name, field, items, finalOpts)
+  }
+
+  /**
+   * Checks that this is a producer room and applies cleanOnStartUp before its first update.
+   * @param {object} opts - Temporary options of the update.
+   * @returns {Promise<object>} The room's options merged with them.
+   */
+  async _prepareUpdate (opts) {
     if (!this.opts.enablePublish) {
       throw new Error('This room is not a producer. Publishing is not allowed.')
     }
+    await this._cleanIfNeeded()
+    return { ...this.opts, ...opts }
+  }
 
-    // cleanOnStartUp logic is handled here, by the stateful Room instance.
-    if (!this.isCleaned) {
-      const promises = []
-      if (this.opts.enableFullData) {
-        promises.push(this.manager.redisClient.del(this.keys.fullDataKey))
-      }
-      if (this.opts.historyLength > 0) {
-        promises.push(this.manager.redisClient.del(this.keys.historyKey))
+  /**
+   * Closes the room for good. (Producer-side)
+   * Consumers on every server receive a final 'close' update, then leave and the room is destroyed,
+   * this instance included. Publishing to the room is rejected until `RoomManager#reopenRoom`.
+   * If the close message does not come back within the closeTimeout option, e.g. because the subscription
+   * is reconnecting, this instance delivers the final 'close' update and ends on its own.
+   * @param {string} [reason='closed'] - Passed to the consumers as `meta.reason`.
+   * @param {object} [opts] - Options whose `context` is passed to the canPublish hook, as for `publish`.
+   * @returns {Promise<boolean>} Whether the room was open.
+   */
+  async close (reason = 'closed', opts = {}) {
+    if (!this.opts.enablePublish) {
+      throw new Error('This room is not a producer. Closing is not allowed.')
+    }
+    // A subscribed room ends when it receives the close message, after the updates published before it.
+    const received = this.isInitialized ? new Promise(resolve => this.once('destroy', resolve)) : null
+    const closed = await this.manager.closeRoom(this.name, reason, { ...this.opts, ...opts })
+    if (closed && received) {
+      let timer
+      const timedOut = new Promise(resolve => { timer = setTimeout(resolve, this.opts.closeTimeout * 1000, true) })
+      if (await Promise.race([received.then(() => false), timedOut])) {
+        this._dispatch('close', null, { room: this.name, reason, removed: [], final: true })
+        await this._end()
       }
-      if (promises.length > 0) {
-        await Promise.all(promises)
+      clearTimeout(timer)
+    } else {
+      await this._end()
+    }
+    return closed
+  }
+
+  /**
+   * Destroys the room after it was closed, and forgets it so that the name gets a new instance.
+   * @returns {Promise<void>}
+   */
+  _end () {
+    if (!this.endPromise) {
+      if (this.manager.rooms.get(this.name) === this) {
+        this.manager.rooms.delete(this.name)
       }
-      this.isCleaned = true
+      this.endPromise = this.destroy()
     }
+    return this.endPromise
+  }
 
-    // Delegate the actual publishing to the manager.
-    const finalOpts = { ...this.opts, ...opts }
-    await this.manager.publish(this.name, data, finalOpts)
+  /**
+   * Applies the cleanOnStartUp option before the first update of a producer room.
+   * This logic is handled here, by the stateful Room instance.
+   */
+  async _cleanIfNeeded () {
+    if (this.isCleaned) {
+      return
+    }
+    const promises = []
+    if (this.opts.enableFullData) {
+      // Logged updates can't be replayed over the cleaned data.
+      promises.push(this.adapter.del([this.keys.fullDataKey, this.keys.logKey]))
+    }
+    if (this.opts.historyLength > 0) {
+      promises.push(this.adapter.del(this.opts.historyMode === 'stream' ? this.keys.streamKey : this.keys.historyKey))
+    }
+    if (promises.length > 0) {
+      await Promise.all(promises)
+    }
+    this.isCleaned = true
   }
 
   /**
    * Joins a user to the room to receive data updates. (Consumer-side)
    * @param {string|number} userId - The unique identifier for the user.
-   * @param {function} onDataCB - Callback: (fullData, newData, extraData) => {}.
+   * @param {function} onDataCB - Callback: (fullData, newData, extraData, meta) => {}.
+   *   `meta` is `{ version, removed, room }` for updates, `{ resync: true }` after the room was reloaded
+   *   following a Redis reconnect, and is omitted for the initial call.
+   *   For pattern rooms, `fullData` maps each matched room name to its full data, and `meta.room`
+   *   tells which room an update came from, with `roomAdded`/`roomRemoved` set when it appears or disappears.
+   *   `fullData` and `newData` are frozen. With the deltaOnly option, `fullData` is null for updates.
+   *   Errors thrown or rejected by the callback are emitted as 'error' events.
+   *   When updates are coalesced, `newData` and `meta.removed` merge the coalesced updates,
+   *   `fullData` is the latest one and `meta.coalesced` counts them.
+   *   When resuming with `sinceVersion`, the missed updates are replayed instead of the initial call,
+   *   with `fullData` null and `meta.replayed` set.
+   *   Updates made by `patch` or `merge` carry their JSON Patch operations as `meta.patch`.
+   *   When the room is deleted or closed, `newData` is null and `meta` is `{ room, reason, removed }`,
+   *   with `final` set when it was closed, after which the user has left the room.
    * @param {*} [extraData] - Extra data to be passed to the callback.
+   * @param {object} [opts] - Join options.
+   * @param {number} [opts.throttle] - Coalesce the updates of this user over this many milliseconds.
+   * @param {number} [opts.maxRate] - Or call the callback at most this many times per second.
+   * @param {number} [opts.sinceVersion] - The last version the user received, see `getVersion`.
+   *   The updates published since are replayed from the room's update log, kept by producers with
+   *   the resumeLength option. If some of them are no longer logged, the user gets the full data instead.
+   * @param {string} [opts.sinceEpoch] - The epoch of that version, see `getEpoch`. If the room was deleted
+   *   or expired since, its versions started over in another epoch and the user gets the full data instead.
+   * @param {string[]} [opts.fields] - Only show these fields, and only call back when one of them changed.
+   * @param {string[]} [opts.omitFields] - Hide these fields, and do not call back when only they changed.
+   * @param {function(object, *): object} [opts.transform] - Maps the visible fields to what the user gets,
+   *   called with the full data and with the data of each update, and the extra data.
+   * @param {function(object, *): boolean} [opts.filter] - Gets each visible update and the extra data,
+   *   returns false to skip it. See `Projection`.
+   * @returns {Promise<boolean>} Whether the user resumed from `sinceVersion`.
+   * @throws {JoinDeniedError|PatternSubscriptionDeniedError} If the canJoin or canSubscribePattern hook denies it.
    */
-  async join (userId, onDataCB, extraData = null) {
+  async join (userId, onDataCB, extraData = null, opts = {}) {
+    await this.manager.authorizeJoin(userId, this.name, extraData)
     this.idleSince = null // Joining cancels any idle state.
-    this.callbacks.set(userId, { onDataCB, extraData })
-
+    const projection = Projection.from(opts, this.patternMode)
     await this._ensureInitialized()
 
-    // Always provide the most current data upon joining.
-    onDataCB(this.fullData, null, extraData)
+    const resuming = opts.sinceVersion !== undefined && opts.sinceVersion !== null && !this.patternMode
+    const log = resuming ? await this.manager.readUpdateLog(this.name) : null
+    if (this._tracksPresence()) {
+      await this.manager.addMember(this.name, userId)
+    }
+
+    // From here on everything runs synchronously, so no live update is delivered before
+    // the initial call or the replayed updates.
+    this._removeCallback(userId)
+    const deliver = ({ type, fullData, data, meta }) => {
+      return onDataCB(fullData, type === 'delete' ? {} : data, extraData, meta)
+    }
+    const project = update => projection ? projection.update(update, extraData) : update
+    let listener = deliver
+    let coalescer = null
+    const interval = UpdateCoalescer.intervalOf(opts)
+    if (interval > 0) {
+      let latestFullData = null
+      coalescer = new UpdateCoalescer(interval, update => {
+        this._callSafely(deliver, { ...update, fullData: latestFullData })
+      })
+      listener = update => {
+        latestFullData = update.fullData
+        if (update.type === 'resync') {
+          coalescer.cancel() // The reloaded full data supersedes the pending updates.
+          return deliver(update)
+        }
+        if (update.type === 'close') {
+          coalescer.flush()
+          return deliver(update)
+        }
+        coalescer.push(update)
+      }
+    }
+    if (projection) {
+      const next = listener
+      listener = update => {
+        const visible = project(update)
+        if (visible) return next(visible)
+      }
+    }
+    for (const event of UPDATE_EVENTS) {
+      this.on(event, listener)
+    }
+    this.callbacks.set(userId, { onDataCB, extraData, listener, coalescer })
+
+    const missed = resuming ? this._missedUpdates(log, opts.sinceVersion, opts.sinceEpoch) : null
+    if (missed) {
+      for (const update of missed) {
+        const visible = project(update)
+        if (visible) this._callSafely(deliver, visible)
+      }
+      return true
+    }
+
+    // Otherwise provide the most current data upon joining.
+    const fullData = projection ? projection.fullData(this._snapshot(), extraData) : this._snapshot()
+    const result = onDataCB(fullData, null, extraData)
+    if (result && typeof result.then === 'function') {
+      result.then(null, err => this._callbackFailed(err))
+    }
+    return false
+  }
+
+  /**
+   * Subscribes to changes of some fields: the callback is only called for updates that change
+   * at least one of them, and sees only them. Like listening to the room's events, this loads the room.
+   * @param {string[]} fields - The fields to watch.
+   * @param {function(object): void} callback - Gets the update, `{ type, fullData, data, removed, meta }`,
+   *   restricted to the watched fields. Resyncs and closes are always delivered.
+   * @returns {function(): void} Stops watching.
+   */
+  watch (fields, callback) {
+    const projection = new Projection({ fields }, this.patternMode)
+    const listener = update => {
+      const visible = projection.update(update)
+      if (visible) return callback(visible)
+    }
+    for (const event of UPDATE_EVENTS) {
+      this.on(event, listener)
+    }
+    return () => {
+      for (const event of UPDATE_EVENTS) {
+        this.removeListener(event, listener)
+      }
+    }
+  }
+
+  /**
+   * Picks the updates a resuming user missed from the room's update log.
+   * @param {string[]} log - The logged channel messages, newest first.
+   * @param {number} sinceVersion - The last version the user received.
+   * @param {string} [sinceEpoch] - Its epoch, if known.
+   * @returns {Array<object>|null} The updates, oldest first, or null if some of them are not logged.
+   */
+  _missedUpdates (log, sinceVersion, sinceEpoch) {
+    const version = this.getVersion()
+    const epoch = this.getEpoch()
+    // Version 0 holds no data, so it precedes the first update of any epoch.
+    if (sinceEpoch !== undefined && sinceEpoch !== null && sinceVersion > 0 && sinceEpoch !== epoch) {
+      return null
+    }
+    const updates = []
+    for (const message of log) {
+      const { version: messageVersion, epoch: messageEpoch, body } = parseUpdateMessage(message)
+      // Newer updates were published after the room was loaded and are delivered live.
+      if (messageEpoch === epoch && messageVersion > sinceVersion && messageVersion <= version) {
+        const { data, removed = [], patch } = deepFreeze(this.manager.codec.decode(body))
+        const meta = { version: messageVersion, removed, room: this.name, replayed: true }
+        if (patch) {
+          meta.patch = patch
+        }
+        updates.unshift({ type: data ? 'data' : 'delete', fullData: null, data: data || null, removed, meta })
+      }
+    }
+    // Versions are consecutive, so a gap means the log no longer reaches back to sinceVersion,
+    // and a version beyond the room's means the room was deleted in between.
+    if (sinceVersion > version || updates.length !== version - sinceVersion) {
+      return null
+    }
+    return updates
   }
 
   /**
@@ -86,19 +482,180 @@ class Room {
    * @param {string|number} userId - The user identifier.
    */
   async leave (userId) {
-    this.callbacks.delete(userId)
-    if (this.callbacks.size === 0 && this.isInitialized) {
-      this.idleSince = Date.now()
+    const wasJoined = this.callbacks.has(userId)
+    this._removeCallback(userId)
+    if (wasJoined && this._tracksPresence()) {
+      await this.manager.removeMember(this.name, userId)
+    }
+  }
+
+  _removeCallback (userId) {
+    const callback = this.callbacks.get(userId)
+    if (callback) {
+      this.callbacks.delete(userId)
+      for (const event of UPDATE_EVENTS) {
+        this.removeListener(event, callback.listener)
+      }
+      if (callback.coalescer) {
+        callback.coalescer.cancel()
+      }
+    }
+  }
+
+  /**
+   * Gets the members of the room joined on any server.
+   * Requires the presence option.
+   * @returns {Promise<Array<{userId: string|number, serverId: string}>>}
+   */
+  async getMembers () {
+    return this.manager.getMembers(this.name)
+  }
+
+  /**
+   * Counts the members of the room joined on any server.
+   * Requires the presence option.
+   * @returns {Promise<number>}
+   */
+  async countMembers () {
+    return this.manager.countMembers(this.name)
+  }
+
+  _tracksPresence () {
+    return this.manager.presence && !this.patternMode
+  }
+
+  /**
+   * Iterates over the room's updates: `for await (const update of room.updates()) {}`.
+   * The room starts loading and the iterator starts buffering updates when it is called, before the first
+   * iteration, so no update published in between is missed. The iteration ends when the room is destroyed.
+   * @param {object} [opts]
+   * @param {number} [opts.bufferSize=100] - The maximum number of updates buffered for a slow consumer.
+   * @param {string} [opts.overflow='dropOldest'] - 'dropOldest' or 'error', when the buffer is full.
+   * @returns {AsyncIterableIterator<object>} The updates, as emitted with the room's events.
+   */
+  updates (opts) {
+    return new UpdateIterator(this, opts)
+  }
+
+  /**
+   * Describes the room for operators.
+   * @returns {{name: string, producer: boolean, pattern: boolean, initialized: boolean, subscribers: number,
+   *   listeners: number, idleMs: number|null, version: number|null, fields: number, dataSize: number,
+   *   historyLength: number, sourceRooms?: number}} `subscribers` counts the joined users and `listeners`
+   *   the other consumers of its updates. `idleMs` is how long ago its last consumer left, which the idle cleanup goes by,
+   *   null if it has consumers or never had any.
+   *   `dataSize` is the encoded size of its full data in bytes, summed over the source rooms of a pattern room.
+   */
+  getInfo () {
+    const codec = this.manager.codec
+    const sources = this.patternMode ? Object.values(this.fullData) : [this.fullData]
+    let fields = 0
+    let dataSize = 0
+    for (const data of sources) {
+      for (const field in data) {
+        fields++
+        dataSize += Buffer.byteLength(field) + Buffer.byteLength(codec.encode(data[field]))
+      }
+    }
+    const subscribers = this.callbacks.size
+    const info = {
+      name: this.name,
+      producer: Boolean(this.opts.enablePublish),
+      pattern: this.patternMode,
+      initialized: this.isInitialized,
+      subscribers,
+      listeners: Math.max(0, this.listenerCount('data') - subscribers),
+      idleMs: this.idleSince ? Date.now() - this.idleSince : null,
+      version: this.isInitialized ? this.getVersion() : null,
+      fields,
+      dataSize,
+      historyLength: this.historyData.length
     }
+    if (this.patternMode) {
+      info.sourceRooms = this.sourceRooms.size
+    }
+    return info
+  }
+
+  /**
+   * Whether any user or listener consumes the room's updates.
+   * @returns {boolean}
+   */
+  _hasConsumers () {
+    return CONSUMER_EVENTS.some(event => this.listenerCount(event) > 0)
   }
 
   /**
    * Gets the latest full data snapshot.
-   * @returns {Promise<object>}
+   * @returns {Promise<object>} A frozen object.
    */
   async getFullData () {
     await this._ensureInitialized()
-    return this.fullData
+    return this._snapshot()
+  }
+
+  /**
+   * Gets the version of the last update applied to a loaded room, which users pass to `join`
+   * as `sinceVersion` to resume. Read it in the join callback to get the version of its data.
+   * @returns {number|null} The version, or null for a pattern room.
+   */
+  getVersion () {
+    return this.patternMode ? null : (this.versions.get(this.keys.channelKey) || 0)
+  }
+
+  /**
+   * Gets the epoch of the version returned by `getVersion`, which users pass to `join` as `sinceEpoch`
+   * along with it. Read it in the join callback as well. The epoch changes when the room starts over
+   * at version 1 after it was deleted or expired.
+   * @returns {string|null} The epoch, '' before the first update, or null for a pattern room.
+   */
+  getEpoch () {
+    return this.patternMode ? null : (this.epochs.get(this.keys.channelKey) || '')
+  }
+
+  /**
+   * Gets the latest full data snapshot of a loaded room, without waiting for it to load.
+   * This is how consumers of a deltaOnly room read the full data, when they need it.
+   * @returns {object} A frozen object, empty until the room is loaded.
+   */
+  getSnapshot () {
+    return this._snapshot()
+  }
+
+  /**
+   * Copies the full data on the first read after a change. Values are frozen when decoded
+   * and shared between snapshots, and pattern rooms only copy the source rooms that changed,
+   * so a snapshot costs one shallow copy, however many consumers read it.
+   * @returns {object}
+   */
+  _snapshot () {
+    if (!this.snapshot) {
+      if (this.patternMode) {
+        const snapshot = {}
+        for (const roomName in this.fullData) {
+          if (!this.roomSnapshots.has(roomName)) {
+            this.roomSnapshots.set(roomName, Object.freeze({ ...this.fullData[roomName] }))
+          }
+          snapshot[roomName] = this.roomSnapshots.get(roomName)
+        }
+        this.snapshot = Object.freeze(snapshot)
+      } else {
+        this.snapshot = Object.freeze({ ...this.fullData })
+      }
+    }
+    return this.snapshot
+  }
+
+  /**
+   * @param {string} [roomName] - The source room that changed, all of them if omitted.
+   */
+  _invalidateSnapshot (roomName) {
+    this.snapshot = null
+    if (roomName === undefined) {
+      this.roomSnapshots.clear()
+    } else {
+      this.roomSnapshots.delete(roomName)
+    }
   }
 
   /**
@@ -110,14 +667,56 @@ class Room {
     return this.historyData
   }
 
+  /**
+   * Queries the room's history, see `RoomManager#getHistory`.
+   * Requires the 'stream' history mode.
+   * @param {object} [query] - `{ since, until, before, limit }`.
+   * @returns {Promise<Array<{id: string, timestamp: number, version: number, data: object, room: string}>>}
+   */
+  async getHistory (query) {
+    if (this.opts.historyMode !== 'stream') {
+      throw new Error("Querying the history requires the 'stream' history mode.")
+    }
+    return this.manager.getHistory(this.name, query)
+  }
+
+  /**
+   * Gets the names of the rooms currently matched by a pattern room.
+   * For a regular room, this is just its own name.
+   * @returns {Promise<string[]>}
+   */
+  async getSourceRooms () {
+    if (!this.patternMode) {
+      return [this.name]
+    }
+    await this._ensureInitialized()
+    return Array.from(this.sourceRooms)
+  }
+
   /**
    * Cleans up all resources used by the room.
    */
   async destroy () {
+    if (this._tracksPresence()) {
+      await Promise.all(Array.from(this.callbacks.keys()).map(userId => {
+        return this.manager.removeMember(this.name, userId).catch(err => {
+          this.manager.logger.error(`Failed to remove member ${userId} of room ${this.name}:`, err)
+        })
+      }))
+    }
     if (this.isInitialized) {
       await this._unsubscribe()
     }
-    this.callbacks.clear()
+    this.emit('destroy')
+    for (const userId of Array.from(this.callbacks.keys())) {
+      this._removeCallback(userId)
+    }
+    for (const event of CONSUMER_EVENTS) {
+      this.removeAllListeners(event)
+    }
+    if (this.coalescer) {
+      this.coalescer.cancel()
+    }
     this.initializationPromise = null
     this.isInitialized = false
     this.messageHandler = null
@@ -138,158 +737,503 @@ class Room {
   }
 
   async _initialize () {
+    const start = Date.now()
     try {
-      await this._fetchInitialData()
-      await this._subscribe()
+      await this._load()
       this.isInitialized = true
+      this.manager.metrics.observe('initialization', Date.now() - start)
     } catch (err) {
-      console.error(`Failed to initialize room ${this.keys.channelKey}:`, err)
+      this.manager.metrics.increment('initFailures')
+      this.manager.logger.error(`Failed to initialize room ${this.keys.channelKey}:`, err)
       // On failure, reset state to allow for a retry on the next call.
+      await this._unsubscribe().catch(() => {})
       this.isInitialized = false
       this.initializationPromise = null
       throw err
     }
   }
 
+  /**
+   * Subscribes and loads the room state.
+   * Subscribing comes first, so that no publish can slip through the gap between the two.
+   * Messages arriving meanwhile are buffered and then reconciled against the snapshot versions.
+   */
+  async _load () {
+    this.pendingMessages = []
+    try {
+      await this._subscribe()
+      await this._fetchInitialData()
+      this._invalidateSnapshot()
+
+      for (const { message, channel } of this.pendingMessages) {
+        // The loaded state is delivered as a whole afterwards, so buffered updates are merged silently.
+        this._applyMessage(message, channel, false)
+      }
+    } finally {
+      this.pendingMessages = null
+    }
+  }
+
+  /**
+   * Re-subscribes and reloads the room state after the subscriber connection was lost,
+   * since updates published during the outage were missed.
+   * Joined users then receive the reloaded full data with `meta.resync` set.
+   */
+  async resync () {
+    if (!this.isInitialized) {
+      return // Not loaded yet, the pending initialization fetches fresh data anyway.
+    }
+    await this._load()
+    this._dispatch('resync', null, { resync: true })
+  }
+
   async _fetchInitialData () {
     if (!this.patternMode) {
-      const promises = []
+      const snapshot = await this._fetchSnapshot(this.keys, this.name)
+      this.fullData = snapshot.fullData
+      this.historyData = snapshot.historyData
+      this.versions = new Map([[this.keys.channelKey, snapshot.version]])
+      this.epochs = new Map([[this.keys.channelKey, snapshot.epoch]])
+    } else {
+      const baseKeys = new Set()
       if (this.opts.enableFullData) {
-        promises.push(this.manager.redisClient.hGetAll(this.keys.fullDataKey))
+        const hashPattern = this.keys.channelKey.replace(/:channel$/, ':hash')
+        for (const key of await this.adapter.scanKeys(hashPattern)) {
+          baseKeys.add(key.replace(/:hash$/, ''))
+        }
       }
       if (this.opts.historyLength > 0) {
-        promises.push(this.manager.redisClient.lRange(this.keys.historyKey, 0, -1))
+        const suffix = this.opts.historyMode === 'stream' ? ':stream' : ':list'
+        const historyPattern = this.keys.channelKey.replace(/:channel$/, suffix)
+        for (const key of await this.adapter.scanKeys(historyPattern)) {
+          baseKeys.add(key.slice(0, -suffix.length))
+        }
       }
 
-      const [hashResult, listResult] = await Promise.all(promises)
-
-      if (this.opts.enableFullData && hashResult) {
-        for (const key in hashResult) {
-          const value = hashResult[key]
-          if (typeof value === 'string' && (value.startsWith('{') || value.startsWith('['))) {
-            try {
-              hashResult[key] = JSON.parse(value)
-            } catch (e) {
-              // Not valid JSON, leave as is.
-            }
+      // Full data is kept per source room, so equal field names in different rooms don't collide.
+      const fullDataByRoom = {}
+      const mergedList = []
+      const versions = new Map()
+      const epochs = new Map()
+      const sourceRooms = new Set()
+      for (const baseKey of baseKeys) {
+        try {
+          const roomName = this.manager._parseRoomName(baseKey)
+          const snapshot = await this._fetchSnapshot({
+            fullDataKey: `${baseKey}:hash`,
+            historyKey: `${baseKey}:list`,
+            versionKey: `${baseKey}:version`,
+            streamKey: `${baseKey}:stream`,
+            metaKey: `${baseKey}:meta`
+          }, roomName)
+          if (Object.keys(snapshot.fullData).length > 0) {
+            fullDataByRoom[roomName] = snapshot.fullData
           }
-        }
+          mergedList.push(...snapshot.historyEntries.filter(entry => entry.data))
+          versions.set(`${baseKey}:channel`, snapshot.version)
+          epochs.set(`${baseKey}:channel`, snapshot.epoch)
+          sourceRooms.add(roomName)
+        } catch (e) { this.manager.logger.error(`Error fetching room ${baseKey}:`, e) }
       }
 
-      this.fullData = this.opts.enableFullData ? (hashResult || {}) : {}
-      this.historyData = this.opts.historyLength > 0 ? (listResult || []).map(item => JSON.parse(item)) : []
-    } else {
-      const hashPattern = this.keys.channelKey.replace(/:channel$/, ':hash')
-      const listPattern = this.keys.channelKey.replace(/:channel$/, ':list')
-
-      const [hashData, listData] = await Promise.all([
-        this.opts.enableFullData ? this._scanAndFetchHashes(hashPattern) : Promise.resolve({}),
-        this.opts.historyLength > 0 ? this._scanAndFetchLists(listPattern) : Promise.resolve([])
-      ])
-      this.fullData = hashData
-      this.historyData = listData
-    }
-  }
-
-  async _scanKeys (pattern) {
-    const keys = []
-    for await (const key of this.manager.redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
-      keys.push(key)
-    }
-    return keys.flat()
-  }
-
-  async _scanAndFetchHashes (pattern) {
-    const keys = await this._scanKeys(pattern)
-    const mergedHash = {}
-    for (const key of keys) {
-      try {
-        const data = await this.manager.redisClient.hGetAll(key)
-        for (const field in data) {
-          const value = data[field]
-          if (typeof value === 'string' && (value.startsWith('{') || value.startsWith('['))) {
-            try {
-              data[field] = JSON.parse(value)
-            } catch (e) {
-              // Not valid JSON, leave as is.
-            }
+      if (this.opts.historyMode === 'stream') {
+        mergedList.sort((a, b) => compareStreamIds(b.id, a.id))
+      } else if (mergedList.length > 0 && mergedList[0].data?.timestamp) {
+        mergedList.sort((a, b) => b.data.timestamp - a.data.timestamp)
+      }
+      const historyData = mergedList.map(entry => entry.data)
+      this.fullData = fullDataByRoom
+      this.historyData = this.opts.historyLength > 0 ? historyData.slice(0, this.opts.historyLength) : historyData
+      this.versions = versions
+      this.epochs = epochs
+      this.sourceRooms = sourceRooms
+    }
+  }
+
+  /**
+   * Reads the hash, the history, the version and the epoch of a single room in one transaction,
+   * so the returned data is exactly the state produced by the update with that version.
+   * With the validateReceived option, fields not matching the schema of the room are left out.
+   * @param {{fullDataKey: string, historyKey: string, versionKey: string, streamKey: string, metaKey: string}} keys
+   * @param {string} roomName - The name of the room the keys belong to.
+   * @returns {Promise<{fullData: object, historyData: Array, historyEntries: Array<{id: string|null, data: *}>,
+   *   version: number, epoch: string}>}
+   *   History entries have a stream id in the 'stream' history mode.
+   */
+  async _fetchSnapshot (keys, roomName) {
+    const stream = this.opts.historyMode === 'stream'
+    const { hash: hashResult, list: listResult, stream: streamResult, version, epoch } = await this.manager.metrics.timeRedis(this.adapter.fetchSnapshot(keys, { stream }))
+
+    const codec = this.manager.codec
+    const fullData = {}
+    if (this.opts.enableFullData) {
+      for (const key in hashResult) {
+        fullData[key] = deepFreeze(codec.decode(hashResult[key]))
+      }
+      if (this.manager.validateReceived) {
+        const errors = this.manager.schemaErrors(roomName, fullData, [])
+        if (errors.length > 0) {
+          this._emitError(new SchemaValidationError(roomName, errors))
+          for (const field of invalidFields(errors) || Object.keys(fullData)) {
+            delete fullData[field]
           }
         }
-        Object.assign(mergedHash, data)
-      } catch (e) { console.error(`Error fetching hash ${key}:`, e) }
+      }
     }
-    return mergedHash
-  }
 
-  async _scanAndFetchLists (pattern) {
-    const keys = await this._scanKeys(pattern)
-    let mergedList = []
-    for (const key of keys) {
-      try {
-        const arr = await this.manager.redisClient.lRange(key, 0, -1)
-        mergedList.push(...arr.map(item => JSON.parse(item)).filter(Boolean))
-      } catch (e) { console.error(`Error fetching list ${key}:`, e) }
+    let historyEntries = []
+    if (this.opts.historyLength > 0) {
+      historyEntries = stream
+        ? (streamResult || []).map(({ id, message }) => ({ id, data: deepFreeze(codec.decode(message.data)) }))
+        : (listResult || []).map(item => ({ id: null, data: deepFreeze(codec.decode(item)) }))
     }
 
-    if (mergedList.length > 0 && mergedList[0]?.timestamp) {
-      mergedList.sort((a, b) => b.timestamp - a.timestamp)
+    return {
+      fullData,
+      historyData: historyEntries.map(entry => entry.data),
+      historyEntries,
+      version: parseInt(version, 10) || 0,
+      epoch: epoch || ''
     }
-    return this.opts.historyLength > 0 ? mergedList.slice(0, this.opts.historyLength) : mergedList
   }
 
   async _subscribe () {
     if (!this.messageHandler) {
       this.messageHandler = (message, channel) => {
-        try {
-          const newData = JSON.parse(message)
-          this._mergeAndDispatch(newData)
-        } catch (e) {
-          console.error('Error parsing message or dispatching data:', e)
+        if (this.pendingMessages) {
+          this.pendingMessages.push({ message, channel })
+        } else if (this.isInitialized) {
+          this._applyMessage(message, channel, true)
         }
       }
     }
 
     if (this.patternMode) {
-      await this.subClient.pSubscribe(this.keys.channelKey, this.messageHandler)
+      await this.adapter.pSubscribe(this.keys.channelKey, this.messageHandler)
     } else {
-      await this.subClient.subscribe(this.keys.channelKey, this.messageHandler)
+      await this.adapter.subscribe(this.keys.channelKey, this.messageHandler)
     }
   }
 
   async _unsubscribe () {
-    if (this.subClient && this.subClient.isOpen && this.messageHandler) {
+    if (this.messageHandler) {
       if (this.patternMode) {
-        await this.subClient.pUnsubscribe(this.keys.channelKey, this.messageHandler)
+        await this.adapter.pUnsubscribe(this.keys.channelKey, this.messageHandler)
       } else {
-        await this.subClient.unsubscribe(this.keys.channelKey, this.messageHandler)
+        await this.adapter.unsubscribe(this.keys.channelKey, this.messageHandler)
+      }
+    }
+  }
+
+  /**
+   * Applies a message received on a room channel.
+   * Updates whose version is not newer than the last one applied for their source room
+   * are already part of the local state and are skipped.
+   * @param {string} message - The raw channel message, `<version>:<epoch>:<encoded { data, removed }>`.
+   * @param {string} channel - The channel the message was received on.
+   * @param {boolean} dispatch - Whether to invoke the user callbacks.
+   */
+  _applyMessage (message, channel, dispatch) {
+    if (message.startsWith(PRESENCE_PREFIX)) {
+      if (dispatch) this._applyPresence(message, channel)
+      return
+    }
+    if (message.startsWith(CONTROL_PREFIX)) {
+      this._applyControl(message, channel, dispatch)
+      return
+    }
+    this.manager.metrics.increment('messagesReceived')
+    try {
+      const { version, epoch, body } = parseUpdateMessage(message)
+      const roomName = this.patternMode ? this.manager._parseRoomName(channel) : this.name
+      const lastVersion = this.versions.get(channel) || 0
+      // Another epoch means the room's keys expired and it was published to again, starting over at version 1.
+      let expiredFields = null
+      if (lastVersion > 0 && epoch !== this.epochs.get(channel)) {
+        expiredFields = this._resetSourceRoom(roomName, channel)
+      } else if (version <= lastVersion) {
+        return
+      }
+      let { data, removed: publishedRemoved = [], patch } = deepFreeze(this.manager.codec.decode(body))
+      this.versions.set(channel, version)
+      this.epochs.set(channel, epoch)
+      if (this.manager.validateReceived) {
+        const valid = this._validReceivedUpdate(roomName, { data, removed: publishedRemoved, patch })
+        if (!valid) return
+        ;({ data, removed: publishedRemoved, patch } = valid)
+      }
+      const removed = expiredFields ? expiredFields.filter(key => !data || !(key in data)) : publishedRemoved
+
+      this._merge(data, publishedRemoved, roomName)
+
+      const meta = { version, removed, room: roomName }
+      if (patch) {
+        meta.patch = patch
+      }
+      if (expiredFields) {
+        meta.reset = true
+      }
+      if (this.patternMode) {
+        if (!this.sourceRooms.has(roomName)) {
+          this.sourceRooms.add(roomName)
+          meta.roomAdded = true
+        } else if (!data && this.opts.enableFullData && !this.fullData[roomName]) {
+          // The last fields of the room were removed, so its hash no longer exists.
+          this.sourceRooms.delete(roomName)
+          meta.roomRemoved = true
+        }
+      }
+
+      if (dispatch) {
+        this._dispatch(data ? 'data' : 'delete', data || null, meta)
+      }
+    } catch (e) {
+      this._emitError(e)
+    }
+  }
+
+  /**
+   * Checks a received update against the schema of its room, with the validateReceived option,
+   * so that a faulty producer on another server cannot corrupt the local full data.
+   * Invalid updates are reported as 'error' events, and only their valid fields are applied.
+   * @param {string} roomName - The room the update originates from.
+   * @param {{data?: object, removed: string[], patch?: Array}} update
+   * @returns {{data?: object, removed: string[], patch?: Array}|null} The valid part of the update,
+   *   or null if none of it is valid.
+   */
+  _validReceivedUpdate (roomName, { data, removed, patch }) {
+    const errors = this.manager.schemaErrors(roomName, data || {}, removed)
+    if (errors.length === 0) {
+      return { data, removed, patch }
+    }
+    this._emitError(new SchemaValidationError(roomName, errors))
+    const invalid = invalidFields(errors)
+    if (!invalid) {
+      return null
+    }
+
+    let validData
+    if (data) {
+      validData = {}
+      for (const field in data) {
+        if (!invalid.has(field)) validData[field] = data[field]
+      }
+      validData = Object.keys(validData).length > 0 ? Object.freeze(validData) : undefined
+    }
+    const validRemoved = removed.filter(field => !invalid.has(field))
+    if (!validData && validRemoved.length === 0) {
+      return null
+    }
+    const validPatch = patch && patch.filter(({ path, from }) => {
+      return !invalid.has(parsePointer(path)[0]) && (from === undefined || !invalid.has(parsePointer(from)[0]))
+    })
+    return { data: validData, removed: validRemoved, patch: validPatch && validPatch.length > 0 ? validPatch : undefined }
+  }
+
+  /**
+   * Applies a control message received on a room channel: a 'delete' drops the data of the room,
+   * which was deleted in Redis, and emits a 'close' update; a 'close' emits a final 'close' update
+   * and ends the room, or for a pattern room just reports that the source room closed;
+   * a 'flushHistory' drops the history of the room.
+   * @param {string} message - `control:<JSON { type, reason }>`.
+   * @param {string} channel - The channel the message was received on.
+   * @param {boolean} dispatch - Whether to invoke the user callbacks.
+   */
+  _applyControl (message, channel, dispatch) {
+    try {
+      const { type, reason } = JSON.parse(message.slice(CONTROL_PREFIX.length))
+      const roomName = this.patternMode ? this.manager._parseRoomName(channel) : this.name
+      if (type === 'close') {
+        const meta = { room: roomName, reason, removed: [], final: true }
+        if (this.patternMode) {
+          if (dispatch) this._dispatch('close', null, meta)
+        } else if (dispatch) {
+          this._dispatch('close', null, meta)
+          this._end().catch(err => this._emitError(err))
+        } else {
+          // Received while loading, so the room ends once it is loaded.
+          Promise.resolve(this.initializationPromise).then(() => {
+            this._dispatch('close', null, meta)
+            return this._end()
+          }).catch(err => this._emitError(err))
+        }
+        return
       }
+      if (type === 'flushHistory') {
+        // The merged history of a pattern room does not tell which entries came from the source room.
+        if (!this.patternMode) this.historyData = []
+        return
+      }
+      if (type !== 'delete') {
+        return // Sent by a newer version of the plugin.
+      }
+      const wasSourceRoom = this.sourceRooms.has(roomName)
+      const removed = this._resetSourceRoom(roomName, channel)
+      if (dispatch) {
+        const meta = { room: roomName, reason: 'deleted', removed }
+        if (this.patternMode && wasSourceRoom) {
+          meta.roomRemoved = true
+        }
+        this._dispatch('close', null, meta)
+      }
+    } catch (e) {
+      this._emitError(e)
+    }
+  }
+
+  /**
+   * Drops the local state of a room whose keys were deleted, so that it starts over at version 1.
+   * @param {string} roomName - The room, a source room for a pattern room.
+   * @param {string} channel - The channel of the room.
+   * @returns {string[]} The fields of the dropped full data.
+   */
+  _resetSourceRoom (roomName, channel) {
+    this.versions.set(channel, 0)
+    this.epochs.delete(channel)
+    let removed
+    if (this.patternMode) {
+      removed = Object.keys(this.fullData[roomName] || {})
+      delete this.fullData[roomName]
+      this.sourceRooms.delete(roomName)
+    } else {
+      removed = Object.keys(this.fullData)
+      this.fullData = {}
+      this.historyData = []
+    }
+    this._invalidateSnapshot(roomName)
+    return removed
+  }
+
+  /**
+   * Emits a presence message received on a room channel as a 'presence' event.
+   * @param {string} message - `presence:<join|leave|expire>:<member>`.
+   * @param {string} channel - The channel the message was received on.
+   */
+  _applyPresence (message, channel) {
+    try {
+      const body = message.slice(PRESENCE_PREFIX.length)
+      const separatorIndex = body.indexOf(':')
+      const type = body.slice(0, separatorIndex)
+      const [serverId, userId] = JSON.parse(body.slice(separatorIndex + 1))
+      const room = this.patternMode ? this.manager._parseRoomName(channel) : this.name
+      this._emitSafely('presence', {
+        type: type === 'join' ? 'join' : 'leave',
+        userId,
+        serverId,
+        room,
+        expired: type === 'expire'
+      })
+    } catch (e) {
+      this._emitError(e)
     }
   }
 
-  _mergeAndDispatch (newData) {
+  /**
+   * Merges an update into the local state.
+   * @param {object} [newData] - The published data, absent for pure removals.
+   * @param {string[]} removed - The fields removed by this update.
+   * @param {string} roomName - The room the update originates from.
+   */
+  _merge (newData, removed, roomName) {
     if (this.opts.enableFullData) {
+      // Pattern rooms keep a full data object per source room.
+      const fullData = this.patternMode ? (this.fullData[roomName] || {}) : this.fullData
+      for (const key of removed) {
+        delete fullData[key]
+      }
       for (const key in newData) {
         if (Object.prototype.hasOwnProperty.call(newData, key) && newData[key] !== null && newData[key] !== undefined) {
-          this.fullData[key] = newData[key]
+          fullData[key] = newData[key]
         }
       }
+      if (this.patternMode) {
+        if (Object.keys(fullData).length > 0) {
+          this.fullData[roomName] = fullData
+        } else {
+          delete this.fullData[roomName]
+        }
+      }
+      this._invalidateSnapshot(roomName)
     }
 
-    if (this.opts.historyLength > 0) {
+    // Only published data is recorded in the history, removals are not.
+    if (this.opts.historyLength > 0 && newData) {
       this.historyData.unshift(newData)
       if (this.historyData.length > this.opts.historyLength) {
         this.historyData.pop()
       }
     }
+  }
+
+  /**
+   * Emits an update to the room's listeners, which include the callbacks of joined users.
+   * With the throttle or maxRate option, updates go through the room's coalescer first.
+   * @param {string} type - 'data', 'delete', 'resync' or 'close'.
+   * @param {object|null} data - The published data.
+   * @param {object} meta - See `join`.
+   */
+  _dispatch (type, data, meta) {
+    const update = { type, data, removed: meta.removed || [], meta }
+    if (this.coalescer) {
+      if (type === 'resync') {
+        this.coalescer.cancel() // The reloaded full data supersedes the pending updates.
+      } else if (type === 'close') {
+        this.coalescer.flush()
+      } else {
+        this.coalescer.push(update)
+        return
+      }
+    }
+    this._emitUpdate(update)
+  }
 
-    const safeFullData = JSON.parse(JSON.stringify(this.fullData))
+  /**
+   * Adds the full data to an update and emits it. Coalesced updates only take a snapshot when delivered.
+   * @param {{type: string, data: object|null, removed: string[], meta: object}} update
+   */
+  _emitUpdate ({ type, data, removed, meta }) {
+    this.manager.metrics.increment('updatesDispatched', this.listenerCount(type))
+    this._emitSafely(type, {
+      type,
+      // A resync replaces the full data, so it is always delivered.
+      fullData: this.opts.deltaOnly && type !== 'resync' ? null : this._snapshot(),
+      data,
+      removed,
+      meta
+    })
+  }
 
-    for (const { onDataCB, extraData } of this.callbacks.values()) {
-      try {
-        onDataCB(safeFullData, newData, extraData)
-      } catch (e) {
-        console.error('Error in room data callback:', e)
+  /**
+   * Calls the listeners of an event. A listener throwing or rejecting does not keep
+   * the others from being called, its error is emitted as an 'error' event instead.
+   */
+  _emitSafely (event, arg) {
+    for (const listener of this.rawListeners(event)) {
+      this._callSafely(listener, arg)
+    }
+  }
+
+  _callSafely (fn, arg) {
+    try {
+      const result = fn.call(this, arg)
+      if (result && typeof result.then === 'function') {
+        result.then(null, err => this._callbackFailed(err))
       }
+    } catch (e) {
+      this._callbackFailed(e)
+    }
+  }
+
+  _callbackFailed (err) {
+    this.manager.metrics.increment('callbackErrors')
+    this._emitError(err)
+  }
+
+  _emitError (err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err)
+    } else {
+      this.manager.logger.error(`Error in room ${this.name}:`, err)
     }
   }
 }
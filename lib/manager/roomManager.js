@@ -1,37 +1,134 @@
-const redis = require('redis')
+const os = require('os')
+const crypto = require('crypto')
+const { isDeepStrictEqual } = require('util')
 const Room = require('./room')
+const scripts = require('./scripts')
+const { compareStreamIds, toStreamBound, assertHistoryMode } = require('./history')
+const { patchedFields, applyPatch, mergeOperations } = require('./jsonPatch')
+const SchemaRegistry = require('./schema')
+const { Metrics } = require('./metrics')
+const { FieldConflictError, JoinDeniedError, PatternSubscriptionDeniedError, PublishDeniedError, SchemaValidationError } = require('./errors')
+const { createCodec, JsonCodec } = require('../codec')
+const { createAdapter } = require('../adapter')
+
+const DEFAULT_UPDATE_OPTS = { enableFullData: true, historyLength: 0, historyMode: 'list', resumeLength: 0, ttl: 0 }
+
+const AUTHORIZATION_HOOKS = ['canJoin', 'canPublish', 'canSubscribePattern']
+
+// The longest random delay in milliseconds before a field change is computed again, per attempt so far.
+const FIELD_RETRY_DELAY = 2
+
+// Stands in for a field value the UPDATE script computes, see `_operateField`.
+const COMPUTED_VALUE = '\u0000computed\u0000'
+
+// What the field of a field operation must hold, for error messages.
+const OPERAND_TYPES = { incr: 'an integer', incrFloat: 'a number', append: 'a list' }
+
+/**
+ * @param {string} encoded - A JSON text holding COMPUTED_VALUE as its last value.
+ * @returns {[string, number]} The text without it, and the byte offset the computed value goes to.
+ */
+function cutComputedValue (encoded) {
+  const marker = JSON.stringify(COMPUTED_VALUE)
+  const at = encoded.lastIndexOf(marker)
+  return [encoded.slice(0, at) + encoded.slice(at + marker.length), Buffer.byteLength(encoded.slice(0, at))]
+}
+
+/**
+ * @param {*} value - A value to write to a field.
+ * @throws {Error} If the value is null or undefined, which publish treats as no value.
+ */
+function assertFieldValue (value) {
+  if (value === null || value === undefined) {
+    throw new Error('Field values must not be null or undefined.')
+  }
+}
 
 class RoomManager {
   constructor (app, opts = {}) {
     this.app = app
-    this.redisOpts = opts.redis || {}
     this.globalPrefix = opts.prefix || 'room'
+    this.codec = createCodec(opts.codec)
     this.rooms = new Map()
+    this.metrics = new Metrics()
 
-    this.redisClient = null
-    this.subClient = null
+    // Receives the log lines of the plugin, with an info(...args) and an error(...args) method.
+    this.logger = opts.logger || console
+
+    // The storage and transport backend, Redis unless configured otherwise.
+    this.adapter = createAdapter(opts)
+
+    // Wraps room names in a hash tag so all keys of a room map to the same cluster slot.
+    this.hashTags = opts.hashTags !== undefined ? Boolean(opts.hashTags) : Boolean(opts.redis?.cluster)
 
     this.idleTimeout = (opts.idleTimeout || 300) * 1000
     this.checkInterval = (opts.checkInterval || 60) * 1000
     this.checkIntervalId = null
-  }
 
-  async start () {
-    this.redisClient = redis.createClient(this.redisOpts)
-    this.subClient = redis.createClient(this.redisOpts)
+    // Presence tracking: members joined on this server are kept alive by heartbeats,
+    // so the members of a crashed server expire after presenceTimeout.
+    this.presence = Boolean(opts.presence)
+    this.presenceInterval = (opts.presenceInterval || 10) * 1000
+    this.presenceTimeout = (opts.presenceTimeout || 30) * 1000
+    this.presenceIntervalId = null
 
-    this.redisClient.on('error', err => console.error('RoomPlugin Redis Client Error', err))
-    this.subClient.on('error', err => console.error('RoomPlugin Redis Sub Client Error', err))
+    // Rooms not updated for longer than the retention are deleted by a periodic sweep, 0 to keep them.
+    this.retention = (opts.retention || 0) * 1000
+    this.sweepInterval = (opts.sweepInterval || 3600) * 1000
+    this.sweepIntervalId = null
 
-    await Promise.all([
-      this.redisClient.connect(),
-      this.subClient.connect()
-    ])
-    console.log('RoomPlugin Redis clients connected.')
+    // Authorization hooks, each may be async and returns whether the action is allowed:
+    // canJoin(userId, roomName, extraData), canSubscribePattern(pattern, userId, extraData)
+    // and canPublish(roomName, data, context).
+    for (const hook of AUTHORIZATION_HOOKS) {
+      if (opts[hook] !== undefined && opts[hook] !== null && typeof opts[hook] !== 'function') {
+        throw new Error(`The ${hook} option must be a function.`)
+      }
+      this[hook] = opts[hook] || null
+    }
+
+    // Schemas validating the updates of rooms, by room name or pattern. With validateReceived,
+    // rooms also check the updates and snapshots they receive, which other servers may have published.
+    this.schemas = new SchemaRegistry()
+    for (const [pattern, schema] of Object.entries(opts.schemas || {})) {
+      this.schemas.register(pattern, schema)
+    }
+    this.validateReceived = Boolean(opts.validateReceived)
+
+    // How many times a field change computed from the current values is tried while other updates keep
+    // changing them, before it fails with a FieldConflictError.
+    this.maxFieldAttempts = opts.maxFieldAttempts || 100
+
+    this.serverId = opts.serverId || (typeof app?.getServerId === 'function' && app.getServerId()) ||
+      `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`
+  }
+
+  // The broadcast command of the room scripts.
+  get publishCommand () {
+    return this.adapter.shardedPubSub ? 'SPUBLISH' : 'PUBLISH'
+  }
+
+  async start () {
+    await this.adapter.connect()
+    if (typeof this.adapter.on === 'function') {
+      this.adapter.on('reconnect', () => this._resyncRooms())
+    }
 
     this.checkIntervalId = setInterval(() => {
       this._periodicIdleCheck()
     }, this.checkInterval)
+
+    if (this.presence) {
+      this.presenceIntervalId = setInterval(() => {
+        this._presenceHeartbeat()
+      }, this.presenceInterval)
+    }
+
+    if (this.retention > 0) {
+      this.sweepIntervalId = setInterval(() => {
+        this._sweepExpiredRooms()
+      }, this.sweepInterval)
+    }
   }
 
   async stop () {
@@ -39,72 +136,902 @@ class RoomManager {
       clearInterval(this.checkIntervalId)
       this.checkIntervalId = null
     }
+    if (this.presenceIntervalId) {
+      clearInterval(this.presenceIntervalId)
+      this.presenceIntervalId = null
+    }
+    if (this.sweepIntervalId) {
+      clearInterval(this.sweepIntervalId)
+      this.sweepIntervalId = null
+    }
 
     for (const room of this.rooms.values()) {
       await room.destroy()
     }
     this.rooms.clear()
 
-    const disconnectPromises = []
-    if (this.subClient?.isOpen) {
-      disconnectPromises.push(this.subClient.disconnect())
-    }
-    if (this.redisClient?.isOpen) {
-      disconnectPromises.push(this.redisClient.disconnect())
-    }
-    await Promise.all(disconnectPromises)
-
-    console.log('RoomPlugin Redis clients disconnected.')
+    await this.adapter.disconnect()
   }
 
   /**
    * Central publish implementation.
    * Can be called statelessly without a Room instance.
+   * The whole update is applied by a single server-side script, so readers never
+   * observe a hash write without its history entry or broadcast, or vice versa.
    * @param {string} name - The name of the room.
    * @param {object} data - The data to publish.
    * @param {object} opts - Options for this specific publish operation.
+   * @param {object} [opts.context] - Passed to the canPublish hook, with the `operation` and the `fields`.
+   *   Like every option it can be set on a producer room for all of its updates.
+   * @returns {Promise<number>} The room version produced by this update.
+   * @throws {PublishDeniedError} If the canPublish hook denies the update, as for every other update.
+   * @throws {SchemaValidationError} If the data does not match the schema of the room, see `registerSchema`.
    */
   async publish (name, data, opts = {}) {
     if (typeof data !== 'object' || data === null) {
-      console.error('Publish data must be a non-null object.')
-      return
+      throw new Error('Publish data must be a non-null object.')
     }
+    await this._authorizePublish(name, 'publish', Object.keys(data), data, opts)
+    this._validateUpdate(name, data, [])
 
-    const finalOpts = { enableFullData: true, historyLength: 0, ...opts }
-    const keys = this._generateKeys(name)
-    const jsonData = JSON.stringify(data)
-    const publishPromises = []
+    const finalOpts = { ...DEFAULT_UPDATE_OPTS, ...opts }
 
+    const fields = []
     if (finalOpts.enableFullData) {
-      const stringifiedData = {}
       for (const key in data) {
         if (Object.prototype.hasOwnProperty.call(data, key)) {
           const value = data[key]
           if (value !== null && value !== undefined) {
-            if (typeof value === 'object') {
-              stringifiedData[key] = JSON.stringify(value)
-            } else {
-              stringifiedData[key] = String(value)
-            }
+            fields.push(key, this.codec.encode(value))
           }
         }
       }
-      if (Object.keys(stringifiedData).length > 0) {
-        publishPromises.push(this.redisClient.hSet(keys.fullDataKey, stringifiedData))
+    }
+
+    return this._update(name, { message: { data }, historyEntry: this.codec.encode(data), fields }, finalOpts)
+  }
+
+  /**
+   * Removes fields from a room's full data and notifies its consumers.
+   * Can be called statelessly without a Room instance.
+   * @param {string} name - The name of the room.
+   * @param {string|string[]} fields - The field(s) to remove.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<number>} The room version produced by this update.
+   */
+  async remove (name, fields, opts = {}) {
+    const removed = [].concat(fields)
+    if (removed.length === 0 || removed.some(field => typeof field !== 'string')) {
+      throw new Error('Remove fields must be a non-empty array of strings.')
+    }
+    await this._authorizePublish(name, 'remove', removed, null, opts)
+    this._validateUpdate(name, {}, removed)
+
+    const finalOpts = { ...DEFAULT_UPDATE_OPTS, ...opts }
+    return this._update(name, { message: { removed }, removed }, finalOpts)
+  }
+
+  /**
+   * Atomically increments an integer field of a room, which counts as 0 if it does not exist.
+   * Consumers receive the resulting value like a publish of the field.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to increment.
+   * @param {number} [by=1] - The integer to add, can be negative.
+   * @param {object} [opts] - Options for this specific operation, as for `publish`.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incr (name, field, by = 1, opts = {}) {
+    if (!Number.isInteger(by)) {
+      throw new Error('Increment must be an integer.')
+    }
+    await this._authorizePublish(name, 'incr', [field], null, opts)
+    if (this._operatesInScript(name)) {
+      return this._operateField(name, field, 'incr', String(by), opts)
+    }
+    const { value } = await this._updateField(name, field, (current = 0) => {
+      if (!Number.isInteger(current)) {
+        throw new Error(`Field ${field} of room ${name} does not hold an integer.`)
+      }
+      return { value: current + by }
+    }, opts)
+    return value
+  }
+
+  /**
+   * Atomically increments a numeric field of a room by a floating point number, see `incr`.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to increment.
+   * @param {number} by - The number to add, can be negative.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incrFloat (name, field, by, opts = {}) {
+    if (!Number.isFinite(by)) {
+      throw new Error('Increment must be a finite number.')
+    }
+    await this._authorizePublish(name, 'incrFloat', [field], null, opts)
+    if (this._operatesInScript(name)) {
+      return this._operateField(name, field, 'incrFloat', String(by), opts)
+    }
+    const { value } = await this._updateField(name, field, (current = 0) => {
+      if (!Number.isFinite(current)) {
+        throw new Error(`Field ${field} of room ${name} does not hold a number.`)
+      }
+      // Added like the UPDATE script does, so that the result does not depend on the codec.
+      return { value: Number(scripts.addDecimals(String(current), String(by))) }
+    }, opts)
+    return value
+  }
+
+  /**
+   * Atomically sets a field of a room if it does not exist yet.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to set.
+   * @param {*} value - The value to set, not null or undefined.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async setIfAbsent (name, field, value, opts = {}) {
+    assertFieldValue(value)
+    await this._authorizePublish(name, 'setIfAbsent', [field], null, opts)
+    const result = await this._updateField(name, field, (current, exists) => exists ? null : { value }, opts)
+    return result !== null
+  }
+
+  /**
+   * Atomically sets a field of a room if it holds the expected value, compared deeply.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to set.
+   * @param {*} expected - The expected current value, undefined for a field that does not exist.
+   * @param {*} value - The value to set, not null or undefined.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async compareAndSet (name, field, expected, value, opts = {}) {
+    assertFieldValue(value)
+    await this._authorizePublish(name, 'compareAndSet', [field], null, opts)
+    const result = await this._updateField(name, field, current => {
+      return isDeepStrictEqual(current, expected) ? { value } : null
+    }, opts)
+    return result !== null
+  }
+
+  /**
+   * Atomically appends items to a list field of a room, which counts as empty if it does not exist.
+   * Consumers receive the whole resulting list.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The list field.
+   * @param {Array} items - The items to append.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The new length of the list.
+   */
+  async append (name, field, items, opts = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Append items must be a non-empty array.')
+    }
+    await this._authorizePublish(name, 'append', [field], null, opts)
+    if (this._operatesInScript(name)) {
+      return (await this._operateField(name, field, 'append', this.codec.encode(items), opts)).length
+    }
+    const { value } = await this._updateField(name, field, (current = []) => {
+      if (!Array.isArray(current)) {
+        throw new Error(`Field ${field} of room ${name} does not hold a list.`)
+      }
+      return { value: current.concat(items) }
+    }, opts)
+    return value.length
+  }
+
+  /**
+   * Applies RFC 6902 JSON Patch operations to the full data of a room atomically, so nested values
+   * can be changed without republishing their whole field. The first token of a path is the field,
+   * e.g. `{ op: 'replace', path: '/players/p1/hp', value: 50 }`. A field patched to null is removed.
+   * Consumers receive the resulting values of the changed fields, and the operations as `meta.patch`.
+   * @param {string} name - The name of the room.
+   * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations
+   * @param {object} [opts] - Options for this specific operation, as for `publish`.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the patch changed nothing.
+   * @throws {Error} If an operation fails, including a failed 'test', in which case nothing is changed.
+   * @throws {FieldConflictError} If the patched fields kept changing, see `maxFieldAttempts`.
+   */
+  async patch (name, operations, opts = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('Patch operations must be a non-empty array.')
+    }
+    const fields = patchedFields(operations)
+    await this._authorizePublish(name, 'patch', fields, null, opts)
+    return this._patch(name, fields, () => operations, opts)
+  }
+
+  /**
+   * Deep merges data into the full data of a room atomically, like an RFC 7386 merge patch:
+   * objects are merged recursively, null removes a member, and any other value replaces it.
+   * Consumers receive the resulting values of the changed fields, and the equivalent JSON Patch as `meta.patch`.
+   * @param {string} name - The name of the room.
+   * @param {object} data - The data to merge.
+   * @param {object} [opts] - Options for this specific operation, as for `publish`.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the merge changed nothing.
+   * @throws {FieldConflictError} If the merged fields kept changing, see `maxFieldAttempts`.
+   */
+  async merge (name, data, opts = {}) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw new Error('Merge data must be a non-null object.')
+    }
+    await this._authorizePublish(name, 'merge', Object.keys(data), data, opts)
+    return this._patch(name, Object.keys(data), current => mergeOperations(current, data), opts)
+  }
+
+  /**
+   * Asks the canPublish hook whether an update is allowed.
+   * @param {string} name - The name of the room.
+   * @param {string} operation - The update, e.g. 'publish', 'remove' or 'incr', or the lifecycle
+   *   operation: 'delete', 'flushHistory', 'close' or 'reopen'.
+   * @param {string[]} fields - The fields it writes, or reads and writes.
+   * @param {object|null} data - The published or merged data, null for the other updates.
+   * @param {object} opts - Options of the update, whose `context` object is passed on to the hook.
+   * @returns {Promise<void>}
+   * @throws {PublishDeniedError} If the hook denies the update.
+   */
+  async _authorizePublish (name, operation, fields, data, opts) {
+    if (!this.canPublish) return
+    const context = { ...opts.context, operation, fields }
+    if (!await this.canPublish(name, data, context)) {
+      throw new PublishDeniedError(name, operation)
+    }
+  }
+
+  /**
+   * Registers the schema validating the updates of a room, or of every room matching a pattern like 'match:*'.
+   * Every update is validated before it is written: publish, remove, the field operations, patch and merge,
+   * whose resulting field values are validated. Published fields set to null are not written, so not validated.
+   * @param {string} pattern - The room name or pattern. The exact name wins over patterns, then the longest pattern.
+   * @param {object|function} schema - A JSON Schema subset describing the full data of the room, whose properties
+   *   are its fields, or a validator function, see `SchemaRegistry#register`.
+   * @throws {Error} If the schema uses an unsupported keyword.
+   */
+  registerSchema (pattern, schema) {
+    this.schemas.register(pattern, schema)
+  }
+
+  /**
+   * @param {string} pattern - The room name or pattern the schema was registered for.
+   * @returns {boolean} Whether a schema was registered.
+   */
+  unregisterSchema (pattern) {
+    return this.schemas.unregister(pattern)
+  }
+
+  /**
+   * @param {string} name - The name of the room.
+   * @param {object} data - The fields the update sets.
+   * @param {string[]} removed - The fields it removes.
+   * @throws {SchemaValidationError} If the update does not match the schema of the room.
+   */
+  _validateUpdate (name, data, removed) {
+    const errors = this.schemaErrors(name, data, removed)
+    if (errors.length > 0) {
+      throw new SchemaValidationError(name, errors)
+    }
+  }
+
+  /**
+   * @param {string} name - The name of the room.
+   * @param {object} data - The fields an update sets, those set to null are ignored.
+   * @param {string[]} removed - The fields it removes.
+   * @returns {Array<{path: string, message: string}>} How the update does not match the schema of the room.
+   */
+  schemaErrors (name, data, removed) {
+    const written = {}
+    for (const field of Object.keys(data)) {
+      if (data[field] !== null && data[field] !== undefined) written[field] = data[field]
+    }
+    return this.schemas.validate(name, written, removed)
+  }
+
+  /**
+   * Asks the canJoin hook whether a user may join a room, or the canSubscribePattern hook for a pattern.
+   * @param {string|number} userId
+   * @param {string} name - The name or pattern of the room.
+   * @param {*} extraData - The extra data the user joins with.
+   * @returns {Promise<void>}
+   * @throws {JoinDeniedError|PatternSubscriptionDeniedError} If the hook denies it.
+   */
+  async authorizeJoin (userId, name, extraData) {
+    if (name.includes('*')) {
+      if (this.canSubscribePattern && !await this.canSubscribePattern(name, userId, extraData)) {
+        throw new PatternSubscriptionDeniedError(name, userId)
+      }
+    } else if (this.canJoin && !await this.canJoin(userId, name, extraData)) {
+      throw new JoinDeniedError(name, userId)
+    }
+  }
+
+  /**
+   * @param {string} name - The name of the room.
+   * @param {string[]} fields - The fields the patch reads or writes.
+   * @param {function(object): Array<object>} toOperations - Gets the current values of the fields,
+   *   returns the JSON Patch operations to apply.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<number|null>}
+   */
+  async _patch (name, fields, toOperations, opts) {
+    const result = await this._updateFields(name, fields, current => {
+      const operations = toOperations(current)
+      const document = applyPatch(structuredClone(current), operations)
+      const data = {}
+      const removed = []
+      for (const field of fields) {
+        const value = document[field]
+        if (value === null || value === undefined) {
+          if (field in current) removed.push(field)
+        } else if (!isDeepStrictEqual(value, current[field])) {
+          data[field] = value
+        }
+      }
+      if (Object.keys(data).length === 0 && removed.length === 0) {
+        return null
+      }
+      return { data, removed, patch: operations }
+    }, opts)
+    return result && result.version
+  }
+
+  /**
+   * Whether the UPDATE script computes the field operations of a room. It reads JSON only, and the values
+   * a schema validates must be known before they are written, so the other rooms use `_updateField`.
+   * @param {string} name - The name of the room.
+   * @returns {boolean}
+   */
+  _operatesInScript (name) {
+    return this.codec instanceof JsonCodec && !this.schemas.has(name)
+  }
+
+  /**
+   * Applies an incr, incrFloat or append with the UPDATE script, which computes the new value from the
+   * stored one, so concurrent operations on the field never conflict.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to change.
+   * @param {string} operation - 'incr', 'incrFloat' or 'append'.
+   * @param {string} operand - The number to add, or the encoded list of items to append.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<*>} The new value of the field.
+   */
+  async _operateField (name, field, operation, operand, opts) {
+    if (typeof field !== 'string') {
+      throw new Error('Field must be a string.')
+    }
+    const finalOpts = { ...DEFAULT_UPDATE_OPTS, ...opts }
+    if (!finalOpts.enableFullData) {
+      throw new Error('Field operations require the enableFullData option.')
+    }
+    const { value } = await this._runUpdate(name, {
+      message: { data: { [field]: COMPUTED_VALUE } },
+      historyEntry: this.codec.encode({ [field]: COMPUTED_VALUE }),
+      fields: [field, operand],
+      operation
+    }, finalOpts)
+    return this.codec.decode(value)
+  }
+
+  /**
+   * Changes a single field from its current value, see `_updateFields`.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to change.
+   * @param {function(*, boolean): ({value: *}|null)} compute - Gets the decoded current value, undefined
+   *   if the field does not exist, and whether it exists. Returns the new value, or null to leave it unchanged.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<{value: *, version: number}|null>} The written value, or null if it was left unchanged.
+   */
+  async _updateField (name, field, compute, opts) {
+    if (typeof field !== 'string') {
+      throw new Error('Field must be a string.')
+    }
+    const result = await this._updateFields(name, [field], current => {
+      const change = compute(current[field], field in current)
+      return change && { data: { [field]: change.value } }
+    }, opts)
+    return result && { value: result.data[field], version: result.version }
+  }
+
+  /**
+   * Changes fields from their current values with the atomic UPDATE script.
+   * The changes are computed here, then written only if the fields still hold the values they were
+   * computed from; otherwise they are computed again from the newer values, after a random delay growing
+   * with the attempts to spread out the contending servers, up to `maxFieldAttempts` times.
+   * It works with any codec, and consumers receive the results like a publish of the fields.
+   * @param {string} name - The name of the room.
+   * @param {string[]} fields - The fields the changes depend on.
+   * @param {function(object): ({data: object, removed?: string[], patch?: Array}|null)} compute - Gets the
+   *   decoded current values of the existing fields. Returns the fields to set and remove, and the patch
+   *   to pass to consumers, or null to leave the room unchanged.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<{data: object, removed?: string[], patch?: Array, version: number}|null>} The applied
+   *   changes, or null if the room was left unchanged.
+   * @throws {FieldConflictError} If the fields changed before every attempt was written.
+   */
+  async _updateFields (name, fields, compute, opts) {
+    const finalOpts = { ...DEFAULT_UPDATE_OPTS, ...opts }
+    if (!finalOpts.enableFullData) {
+      throw new Error('Field operations require the enableFullData option.')
+    }
+
+    const keys = this._generateKeys(name)
+    for (let attempt = 0; attempt < this.maxFieldAttempts; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.random() * Math.min(attempt, 10) * FIELD_RETRY_DELAY))
+      }
+      const encoded = await this._runScript(scripts.READ_FIELDS, [keys.fullDataKey], fields)
+      const current = {}
+      fields.forEach((field, i) => {
+        if (encoded[i] !== null && encoded[i] !== undefined) current[field] = this.codec.decode(encoded[i])
+      })
+      const change = compute(current)
+      if (!change) {
+        return null
+      }
+
+      const { data, removed = [], patch } = change
+      this._validateUpdate(name, data, removed)
+      const hasData = Object.keys(data).length > 0
+      const message = {}
+      if (hasData) message.data = data
+      if (removed.length > 0) message.removed = removed
+      if (patch) message.patch = patch
+
+      const version = await this._update(name, {
+        message,
+        historyEntry: hasData ? this.codec.encode(data) : '',
+        removed,
+        fields: Object.keys(data).flatMap(field => [field, this.codec.encode(data[field])]),
+        expected: fields.map((field, i) => ({ field, value: encoded[i] ?? '' }))
+      }, finalOpts)
+      if (version !== null) {
+        return { ...change, version }
+      }
+    }
+    throw new FieldConflictError(name, fields, this.maxFieldAttempts)
+  }
+
+  /**
+   * Applies an update with the atomic UPDATE script.
+   * @param {string} name - The name of the room.
+   * @param {object} update - See `_runUpdate`.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the expected
+   *   value did not match.
+   * @throws {Error} If the room is closed.
+   */
+  async _update (name, update, opts) {
+    return (await this._runUpdate(name, update, opts)).version
+  }
+
+  /**
+   * @param {string} name - The name of the room.
+   * @param {object} update
+   * @param {object} update.message - The channel message, without its version.
+   * @param {string} [update.historyEntry] - The history entry to append, if any.
+   * @param {string[]} [update.removed] - The hash fields to delete.
+   * @param {string[]} [update.fields] - The hash fields to set, as field/value pairs.
+   * @param {Array<{field: string, value: string}>} [update.expected] - Only apply the update if the fields hold
+   *   these encoded values, '' for a field that does not exist.
+   * @param {string} [update.operation] - A field operation of the script, 'incr', 'incrFloat' or 'append',
+   *   applied to the single field of `fields` with its value as operand. The message and history entry hold
+   *   COMPUTED_VALUE where the computed value goes.
+   * @param {object} opts - Options for this specific operation.
+   * @returns {Promise<{version: number|null, value?: string}>} The room version produced by this update, null
+   *   if the expected value did not match, and the encoded value computed by the operation.
+   * @throws {Error} If the room is closed, or the field of the operation does not hold a value it applies to.
+   */
+  async _runUpdate (name, { message, historyEntry = '', removed = [], fields = [], expected = [], operation = '' }, opts) {
+    assertHistoryMode(opts.historyMode)
+    const keys = this._generateKeys(name)
+    let encodedMessage = this.codec.encode(message)
+    let messageOffset = ''
+    let historyOffset = ''
+    if (operation) {
+      [encodedMessage, messageOffset] = cutComputedValue(encodedMessage)
+      ;[historyEntry, historyOffset] = cutComputedValue(historyEntry)
+    }
+    const reply = await this._runScript(scripts.UPDATE[this.publishCommand], [keys.fullDataKey, keys.historyKey, keys.versionKey, keys.channelKey, keys.logKey, keys.streamKey, keys.metaKey, keys.closedKey], [
+      String(opts.historyLength > 0 ? opts.historyLength : 0),
+      opts.historyMode,
+      String(opts.resumeLength > 0 ? opts.resumeLength : 0),
+      String(opts.ttl > 0 ? Math.ceil(opts.ttl * 1000) : 0),
+      String(Date.now()),
+      crypto.randomBytes(4).toString('hex'),
+      encodedMessage,
+      historyEntry,
+      operation,
+      String(messageOffset),
+      String(historyOffset),
+      String(expected.length),
+      ...expected.flatMap(({ field, value }) => [field, value]),
+      String(removed.length),
+      ...removed,
+      ...fields
+    ])
+    const [version, value] = [].concat(reply)
+    if (version === 0) {
+      throw new Error(`Room ${name} is closed. Reopen it before publishing.`)
+    }
+    if (version === -2) {
+      throw new Error(`Field ${fields[0]} of room ${name} does not hold ${OPERAND_TYPES[operation]}.`)
+    }
+    if (version !== -1) {
+      this.metrics.increment('publishes')
+    }
+    return { version: version === -1 ? null : version, value }
+  }
+
+  /**
+   * Collects the state of this server's rooms and the counters of its traffic since it started.
+   * @returns {{serverId: string, rooms: {total: number, initialized: number, producers: number, patterns: number},
+   *   users: number, counters: object, publishRate: number, latencies: object, perRoom: Array<object>}}
+   *   `publishRate` is the number of updates written per second over the last minute, `latencies` has
+   *   the 'initialization' and 'redis' histograms in milliseconds, and `perRoom` the joined users
+   *   and version of each room.
+   */
+  getStats () {
+    const rooms = { total: this.rooms.size, initialized: 0, producers: 0, patterns: 0 }
+    let users = 0
+    const perRoom = []
+    for (const room of this.rooms.values()) {
+      if (room.isInitialized) rooms.initialized++
+      if (room.opts.enablePublish) rooms.producers++
+      if (room.patternMode) rooms.patterns++
+      users += room.callbacks.size
+      perRoom.push({
+        name: room.name,
+        users: room.callbacks.size,
+        initialized: room.isInitialized,
+        version: room.isInitialized ? room.getVersion() : null
+      })
+    }
+    return { serverId: this.serverId, rooms, users, ...this.metrics.toJSON(), perRoom }
+  }
+
+  /**
+   * Runs a room script, timing its round trip.
+   * @param {object} script
+   * @param {string[]} keys
+   * @param {string[]} args
+   * @returns {Promise<*>} The script's reply.
+   */
+  _runScript (script, keys, args) {
+    return this.metrics.timeRedis(this.adapter.runScript(script, keys, args))
+  }
+
+  /**
+   * Reads the update log of a room, which keeps its last `resumeLength` updates.
+   * @param {string} name - The name of the room.
+   * @returns {Promise<string[]>} The logged channel messages, newest first, see `parseUpdateMessage`.
+   */
+  async readUpdateLog (name) {
+    const keys = this._generateKeys(name)
+    return this._runScript(scripts.READ_LOG, [keys.logKey], [])
+  }
+
+  /**
+   * Deletes every key of a room and tells its consumers on every server, which drop its data
+   * and emit a 'close' update. The room can be published to again afterwards, starting over at version 1.
+   * Can be called statelessly without a Room instance.
+   * @param {string} name - The name of the room.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook, as for the updates.
+   * @returns {Promise<boolean>} Whether the room had any keys.
+   * @throws {PublishDeniedError} If the canPublish hook denies the 'delete' operation.
+   */
+  async deleteRoom (name, opts = {}) {
+    if (name.includes('*')) {
+      throw new Error('Pattern name (*) is not allowed when deleting a room.')
+    }
+    await this._authorizePublish(name, 'delete', [], null, opts)
+    return (await this._deleteRoomKeys(name, '')) > 0
+  }
+
+  /**
+   * Deletes the history of a room, in both history modes. Consumers on every server drop the history
+   * they loaded, except pattern rooms, whose merged history is kept until they are reloaded.
+   * @param {string} name - The name of the room.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook, as for the updates.
+   * @returns {Promise<boolean>} Whether the room had a history.
+   * @throws {PublishDeniedError} If the canPublish hook denies the 'flushHistory' operation.
+   */
+  async flushHistory (name, opts = {}) {
+    if (name.includes('*')) {
+      throw new Error('Pattern name (*) is not allowed when flushing a history.')
+    }
+    await this._authorizePublish(name, 'flushHistory', [], null, opts)
+    const keys = this._generateKeys(name)
+    return (await this._runScript(scripts.FLUSH_HISTORY[this.publishCommand], [keys.historyKey, keys.streamKey, keys.channelKey], [])) > 0
+  }
+
+  /**
+   * Reads the stored state of a room, whether or not it is loaded on this server.
+   * @param {string} name - The name of the room.
+   * @param {object} [opts]
+   * @param {string} [opts.historyMode='list'] - Which history to read, 'list' or 'stream'.
+   * @returns {Promise<{fullData: object, history: Array<{id: string|null, data: *}>, version: number}>}
+   *   The history is newest first, its entries have a stream id in the 'stream' history mode.
+   */
+  async readRoom (name, { historyMode = 'list' } = {}) {
+    assertHistoryMode(historyMode)
+    const stream = historyMode === 'stream'
+    const keys = this._generateKeys(name)
+    const { hash, list, stream: entries, version } = await this.metrics.timeRedis(this.adapter.fetchSnapshot(keys, { stream }))
+    const fullData = {}
+    for (const field in hash) {
+      fullData[field] = this.codec.decode(hash[field])
+    }
+    const history = stream
+      ? (entries || []).map(({ id, message }) => ({ id, data: this.codec.decode(message.data) }))
+      : (list || []).map(item => ({ id: null, data: this.codec.decode(item) }))
+    return { fullData, history, version: parseInt(version, 10) || 0 }
+  }
+
+  /**
+   * Describes the rooms loaded on this server, see `Room#getInfo`.
+   * @returns {Array<object>}
+   */
+  listRooms () {
+    return Array.from(this.rooms.values(), room => room.getInfo())
+  }
+
+  /**
+   * Destroys the instance of a room on this server, dropping its users without notifying them.
+   * Unlike `deleteRoom` and `closeRoom`, the stored room and the other servers are not affected.
+   * @param {string} name - The name of the room, can be a pattern.
+   * @returns {Promise<boolean>} Whether the room was loaded.
+   */
+  async destroyRoom (name) {
+    const room = this.rooms.get(name)
+    if (!room) {
+      return false
+    }
+    await room._end()
+    return true
+  }
+
+  /**
+   * Closes a room for good: consumers on every server receive a final 'close' update,
+   * then leave and destroy the room, and publishing to it is rejected until it is reopened.
+   * The data of the room is kept.
+   * Can be called statelessly without a Room instance.
+   * @param {string} name - The name of the room.
+   * @param {string} [reason='closed'] - Passed to the consumers as `meta.reason`.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook, as for the updates.
+   * @returns {Promise<boolean>} Whether the room was open.
+   * @throws {PublishDeniedError} If the canPublish hook denies the 'close' operation.
+   */
+  async closeRoom (name, reason = 'closed', opts = {}) {
+    if (name.includes('*')) {
+      throw new Error('Pattern name (*) is not allowed when closing a room.')
+    }
+    await this._authorizePublish(name, 'close', [], null, opts)
+    const keys = this._generateKeys(name)
+    const message = `${scripts.CONTROL_PREFIX}${JSON.stringify({ type: 'close', reason })}`
+    const closed = await this._runScript(scripts.CLOSE_ROOM[this.publishCommand], [keys.closedKey, keys.channelKey], [
+      String(Date.now()),
+      message
+    ])
+    return closed === 1
+  }
+
+  /**
+   * Reopens a closed room, so that it can be published to again.
+   * @param {string} name - The name of the room.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook, as for the updates.
+   * @returns {Promise<boolean>} Whether the room was closed.
+   * @throws {PublishDeniedError} If the canPublish hook denies the 'reopen' operation.
+   */
+  async reopenRoom (name, opts = {}) {
+    if (name.includes('*')) {
+      throw new Error('Pattern name (*) is not allowed when reopening a room.')
+    }
+    await this._authorizePublish(name, 'reopen', [], null, opts)
+    const keys = this._generateKeys(name)
+    return (await this._runScript(scripts.REOPEN_ROOM, [keys.closedKey], [])) === 1
+  }
+
+  /**
+   * @param {string} name - The name of the room.
+   * @param {string} updatedBefore - Only delete the room if it was last updated before this timestamp,
+   *   '' to delete it unconditionally.
+   * @returns {Promise<number>} The number of deleted keys.
+   */
+  async _deleteRoomKeys (name, updatedBefore) {
+    const keys = this._generateKeys(name)
+    return this._runScript(scripts.DELETE_ROOM[this.publishCommand], [
+      keys.fullDataKey, keys.historyKey, keys.versionKey, keys.logKey, keys.streamKey, keys.metaKey, keys.membersKey, keys.closedKey, keys.channelKey
+    ], [updatedBefore])
+  }
+
+  /**
+   * Deletes the rooms under the prefix that were not updated for longer than the retention.
+   * Rooms are found by the update time recorded by every publish, so rooms last updated
+   * by an older version of the plugin are kept.
+   * @returns {Promise<string[]>} The names of the deleted rooms.
+   */
+  async _sweepExpiredRooms () {
+    const deletedRooms = []
+    try {
+      const updatedBefore = String(Date.now() - this.retention)
+      const metaPattern = this.hashTags ? `${this.globalPrefix}:{*}:meta` : `${this.globalPrefix}:*:meta`
+      for (const metaKey of await this.adapter.scanKeys(metaPattern)) {
+        const name = this._parseRoomName(metaKey.replace(/:meta$/, ''))
+        if (await this._deleteRoomKeys(name, updatedBefore) > 0) {
+          deletedRooms.push(name)
+        }
+      }
+      if (deletedRooms.length > 0) {
+        this.logger.info(`[RoomManager] Deleted ${deletedRooms.length} rooms past their retention.`)
       }
+    } catch (err) {
+      this.logger.error('[RoomManager] Error during retention sweep:', err)
     }
+    return deletedRooms
+  }
 
-    if (finalOpts.historyLength > 0) {
-      const listPromise = this.redisClient.lPush(keys.historyKey, jsonData)
-        .then(() => this.redisClient.lTrim(keys.historyKey, 0, finalOpts.historyLength - 1))
-      publishPromises.push(listPromise)
+  /**
+   * Queries the history of a room kept in the 'stream' history mode, newest first.
+   * Can be called statelessly without a Room instance.
+   * Entry ids are stable, so pages are fetched by passing the id of the last entry as `before`.
+   * @param {string} name - The name of the room. The history of a pattern room merges the
+   *   history of every matched room by entry id.
+   * @param {object} [query]
+   * @param {number|Date|string} [query.since] - The oldest entries to include: a timestamp, a Date or an entry id.
+   * @param {number|Date|string} [query.until] - The newest entries to include: a timestamp, a Date or an entry id.
+   * @param {string} [query.before] - Only include entries older than this entry id, instead of `until`.
+   * @param {number} [query.limit=100] - The maximum number of entries.
+   * @returns {Promise<Array<{id: string, timestamp: number, version: number, data: object, room: string}>>}
+   */
+  async getHistory (name, { since, until, before, limit = 100 } = {}) {
+    if (!(limit > 0)) {
+      throw new Error('History limit must be a positive number.')
     }
+    const start = toStreamBound(since, '-')
+    const end = before !== undefined && before !== null ? `(${before}` : toStreamBound(until, '+')
+
+    const keys = this._generateKeys(name)
+    const streamKeys = name.includes('*')
+      ? await this.adapter.scanKeys(keys.channelKey.replace(/:channel$/, ':stream'))
+      : [keys.streamKey]
+
+    const entries = []
+    await Promise.all(streamKeys.map(async streamKey => {
+      const room = this._parseRoomName(streamKey.replace(/:stream$/, ''))
+      const results = await this._runScript(scripts.READ_HISTORY, [streamKey], [end, start, String(limit)])
+      for (const [id, pairs] of results) {
+        const fields = {}
+        for (let i = 0; i < pairs.length; i += 2) {
+          fields[pairs[i]] = pairs[i + 1]
+        }
+        entries.push({
+          id,
+          timestamp: parseInt(id, 10),
+          version: parseInt(fields.version, 10),
+          data: this.codec.decode(fields.data),
+          room
+        })
+      }
+    }))
+
+    // Entry ids are only unique per room, so equal ids of a pattern room are ordered by room name.
+    entries.sort((a, b) => compareStreamIds(b.id, a.id) || (a.room < b.room ? -1 : a.room > b.room ? 1 : 0))
+    return entries.slice(0, limit)
+  }
+
+  /**
+   * Records a user joined on this server as a member of a room, and announces it
+   * to the room's consumers if it is new.
+   * @param {string} name - The name of the room.
+   * @param {string|number} userId - The user identifier.
+   * @returns {Promise<boolean>} Whether the member was added.
+   */
+  async addMember (name, userId) {
+    this._assertPresence(name)
+    const keys = this._generateKeys(name)
+    const added = await this._runScript(scripts.PRESENCE_JOIN[this.publishCommand], [keys.membersKey, keys.channelKey], [
+      String(Date.now() + this.presenceTimeout),
+      this._encodeMember(userId)
+    ])
+    return added === 1
+  }
 
-    if (publishPromises.length > 0) {
-      await Promise.all(publishPromises)
+  /**
+   * Removes a user joined on this server from the members of a room, and announces it.
+   * @param {string} name - The name of the room.
+   * @param {string|number} userId - The user identifier.
+   * @returns {Promise<boolean>} Whether the member was present.
+   */
+  async removeMember (name, userId) {
+    this._assertPresence(name)
+    const keys = this._generateKeys(name)
+    const removed = await this._runScript(scripts.PRESENCE_LEAVE[this.publishCommand], [keys.membersKey, keys.channelKey], [
+      this._encodeMember(userId)
+    ])
+    return removed === 1
+  }
+
+  /**
+   * Gets the members of a room across all servers.
+   * Can be called statelessly without a Room instance.
+   * @param {string} name - The name of the room.
+   * @returns {Promise<Array<{userId: string|number, serverId: string}>>}
+   */
+  async getMembers (name) {
+    const members = await this._sweepMembers(name, 'members')
+    return members.map(member => {
+      const [serverId, userId] = JSON.parse(member)
+      return { userId, serverId }
+    })
+  }
+
+  /**
+   * Counts the members of a room across all servers. A user joined on two servers counts twice.
+   * @param {string} name - The name of the room.
+   * @returns {Promise<number>}
+   */
+  async countMembers (name) {
+    return this._sweepMembers(name, 'count')
+  }
+
+  /**
+   * Drops the expired members of a room and refreshes the given ones of this server.
+   * @param {string} name - The name of the room.
+   * @param {string} reply - 'members', 'count' or '' for the number of expired members.
+   * @param {Array<string|number>} [userIds] - Members joined on this server to keep alive.
+   */
+  async _sweepMembers (name, reply, userIds = []) {
+    this._assertPresence(name)
+    const keys = this._generateKeys(name)
+    const now = Date.now()
+    return this._runScript(scripts.PRESENCE_SWEEP[this.publishCommand], [keys.membersKey, keys.channelKey], [
+      String(now),
+      String(now + this.presenceTimeout),
+      reply,
+      ...userIds.map(userId => this._encodeMember(userId))
+    ])
+  }
+
+  _assertPresence (name) {
+    if (!this.presence) {
+      throw new Error('Presence tracking is not enabled. Set the presence option.')
     }
+    if (name.includes('*')) {
+      throw new Error('Presence is not available for pattern rooms.')
+    }
+  }
 
-    await this.redisClient.publish(keys.channelKey, jsonData)
+  // Members are identified by their server and user id, keeping the type of the user id.
+  _encodeMember (userId) {
+    return JSON.stringify([this.serverId, userId])
+  }
+
+  /**
+   * Keeps the members joined on this server alive and expires those of crashed servers,
+   * in every loaded room, so that their consumers are notified.
+   */
+  async _presenceHeartbeat () {
+    const rooms = Array.from(this.rooms.values()).filter(room => room.isInitialized && !room.patternMode)
+    await Promise.all(rooms.map(room => {
+      return this._sweepMembers(room.name, '', Array.from(room.callbacks.keys())).catch(err => {
+        this.logger.error(`[RoomManager] Error refreshing the members of room ${room.name}:`, err)
+      })
+    }))
+  }
+
+  /**
+   * Re-subscribes and reloads every loaded room after the sub client reconnected,
+   * as messages published while it was disconnected are lost.
+   */
+  async _resyncRooms () {
+    const rooms = Array.from(this.rooms.values()).filter(room => room.isInitialized)
+    if (rooms.length === 0) return
+
+    this.logger.info(`[RoomManager] Sub client reconnected, resyncing ${rooms.length} rooms.`)
+    await Promise.all(rooms.map(room => room.resync().catch(err => {
+      this.logger.error(`[RoomManager] Error resyncing room ${room.name}:`, err)
+    })))
   }
 
   async _periodicIdleCheck () {
@@ -118,36 +1045,53 @@ class RoomManager {
         // Producer rooms are exempt from idle cleanup.
         if (room.opts.enablePublish) continue
 
-        if (room.callbacks.size === 0 && room.isInitialized && room.idleSince && (now - room.idleSince > this.idleTimeout)) {
+        if (!room._hasConsumers() && room.isInitialized && room.idleSince && (now - room.idleSince > this.idleTimeout)) {
           roomsToDestroy.push(roomKey)
         }
       }
 
       if (roomsToDestroy.length > 0) {
-        console.log(`[RoomManager] Destroying ${roomsToDestroy.length} idle rooms.`)
+        this.logger.info(`[RoomManager] Destroying ${roomsToDestroy.length} idle rooms.`)
         for (const roomKey of roomsToDestroy) {
           const room = this.rooms.get(roomKey)
           if (room) {
             await room.destroy()
             this.rooms.delete(roomKey)
+            this.metrics.increment('idleRoomsDestroyed')
           }
         }
       }
     } catch (err) {
-      console.error('[RoomManager] Error during periodic idle check:', err)
+      this.logger.error('[RoomManager] Error during periodic idle check:', err)
     }
   }
 
   _generateKeys (name) {
     const isPattern = name.includes('*')
-    const baseKey = `${this.globalPrefix}:${name}`
+    const baseKey = this.hashTags ? `${this.globalPrefix}:{${name}}` : `${this.globalPrefix}:${name}`
     return {
       fullDataKey: isPattern ? baseKey.replace('*', '{{*}}') + ':hash' : `${baseKey}:hash`,
       historyKey: isPattern ? baseKey.replace('*', '{{*}}') + ':list' : `${baseKey}:list`,
+      versionKey: isPattern ? baseKey.replace('*', '{{*}}') + ':version' : `${baseKey}:version`,
+      membersKey: isPattern ? baseKey.replace('*', '{{*}}') + ':members' : `${baseKey}:members`,
+      logKey: isPattern ? baseKey.replace('*', '{{*}}') + ':log' : `${baseKey}:log`,
+      streamKey: isPattern ? baseKey.replace('*', '{{*}}') + ':stream' : `${baseKey}:stream`,
+      metaKey: isPattern ? baseKey.replace('*', '{{*}}') + ':meta' : `${baseKey}:meta`,
+      closedKey: isPattern ? baseKey.replace('*', '{{*}}') + ':closed' : `${baseKey}:closed`,
       channelKey: isPattern ? `${baseKey}:channel` : `${baseKey}:channel`
     }
   }
 
+  /**
+   * Extracts the room name from its base key or channel key, the inverse of `_generateKeys`.
+   * @param {string} key - E.g. `room:lobby`, `room:{lobby}` or `room:lobby:channel`.
+   * @returns {string}
+   */
+  _parseRoomName (key) {
+    const name = key.slice(this.globalPrefix.length + 1).replace(/:channel$/, '')
+    return this.hashTags && name.startsWith('{') && name.endsWith('}') ? name.slice(1, -1) : name
+  }
+
   /**
    * The single internal method for creating or updating a room instance.
    * It respects the `enablePublish` flag from the opts.
@@ -159,6 +1103,9 @@ class RoomManager {
     if (name.includes('*') && opts.enablePublish) {
       throw new Error('Pattern name (*) is not allowed for a producer room.')
     }
+    if (name.includes('*') && this.adapter.shardedPubSub) {
+      throw new Error('Pattern name (*) is not allowed with sharded pub/sub.')
+    }
 
     if (this.rooms.has(name)) {
       const room = this.rooms.get(name)
@@ -171,8 +1118,9 @@ class RoomManager {
 
     // If the room doesn't exist, create it with the provided options.
     const keys = this._generateKeys(name)
-    const room = new Room(this, this.subClient, name, keys, opts)
+    const room = new Room(this, this.adapter, name, keys, opts)
     this.rooms.set(name, room)
+    this.metrics.increment('roomsCreated')
     return room
   }
 
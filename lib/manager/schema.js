@@ -0,0 +1,251 @@
+// Validation of room updates against schemas registered per room name or name pattern.
+// A schema describes the full data of a room: its properties are the fields of the room.
+const { isDeepStrictEqual } = require('util')
+const { escapeToken } = require('./jsonPatch')
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+// Keywords without effect on validation.
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']
+
+const KEYWORDS = [
+  'type', 'enum', 'const',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties'
+]
+
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function hasType (value, type) {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+/**
+ * Checks that a schema only uses the supported subset of JSON Schema, so that no constraint is
+ * silently ignored, and compiles its patterns.
+ * @param {object} schema
+ * @param {string} [path] - The location of the schema, for error messages.
+ * @returns {object} The schema, with its patterns as RegExps.
+ * @throws {Error} If the schema uses an unsupported keyword or is malformed.
+ */
+function compileSchema (schema, path = '') {
+  if (typeof schema === 'boolean') {
+    return schema
+  }
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error(`Invalid schema at '${path}': a schema must be an object or a boolean.`)
+  }
+  const compiled = {}
+  for (const keyword of Object.keys(schema)) {
+    if (ANNOTATIONS.includes(keyword)) continue
+    if (!KEYWORDS.includes(keyword)) {
+      throw new Error(`Unsupported schema keyword '${keyword}' at '${path}'.`)
+    }
+    compiled[keyword] = schema[keyword]
+  }
+  for (const type of [].concat(compiled.type || [])) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown schema type '${type}' at '${path}'.`)
+    }
+  }
+  if (compiled.pattern !== undefined) {
+    compiled.pattern = new RegExp(compiled.pattern, 'u')
+  }
+  if (compiled.items !== undefined) {
+    compiled.items = compileSchema(compiled.items, `${path}/items`)
+  }
+  if (compiled.properties !== undefined) {
+    const properties = {}
+    for (const key of Object.keys(compiled.properties)) {
+      properties[key] = compileSchema(compiled.properties[key], `${path}/properties/${escapeToken(key)}`)
+    }
+    compiled.properties = properties
+  }
+  if (compiled.additionalProperties !== undefined) {
+    compiled.additionalProperties = compileSchema(compiled.additionalProperties, `${path}/additionalProperties`)
+  }
+  return compiled
+}
+
+/**
+ * Validates a value against a compiled schema.
+ * @param {*} value
+ * @param {object|boolean} schema - A schema returned by `compileSchema`.
+ * @param {string} path - The JSON pointer of the value.
+ * @param {Array<{path: string, message: string}>} errors - Receives the errors found.
+ */
+function validateValue (value, schema, path, errors) {
+  if (schema === true) return
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' })
+    return
+  }
+  const error = message => errors.push({ path, message })
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => hasType(value, type))) {
+      error(`must be of type ${types.join(' or ')}`)
+      return
+    }
+  }
+  if (schema.const !== undefined && !isDeepStrictEqual(value, schema.const)) {
+    error(`must be ${JSON.stringify(schema.const)}`)
+  }
+  if (schema.enum !== undefined && !schema.enum.some(allowed => isDeepStrictEqual(value, allowed))) {
+    error(`must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) error(`must be > ${schema.exclusiveMinimum}`)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) error(`must be < ${schema.exclusiveMaximum}`)
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) error(`must be a multiple of ${schema.multipleOf}`)
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length
+    if (schema.minLength !== undefined && length < schema.minLength) error(`must have at least ${schema.minLength} characters`)
+    if (schema.maxLength !== undefined && length > schema.maxLength) error(`must have at most ${schema.maxLength} characters`)
+    if (schema.pattern !== undefined && !schema.pattern.test(value)) error(`must match ${schema.pattern.source}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) error(`must have at least ${schema.minItems} items`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) error(`must have at most ${schema.maxItems} items`)
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isDeepStrictEqual(item, other)) !== i)) {
+      error('must not contain duplicate items')
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}/${i}`, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value)
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) error(`must have at least ${schema.minProperties} properties`)
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) error(`must have at most ${schema.maxProperties} properties`)
+    for (const key of schema.required || []) {
+      if (!keys.includes(key)) errors.push({ path: `${path}/${escapeToken(key)}`, message: 'is required' })
+    }
+    for (const key of keys) {
+      validateValue(value[key], propertySchema(schema, key), `${path}/${escapeToken(key)}`, errors)
+    }
+  }
+}
+
+function propertySchema (schema, key) {
+  if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+    return schema.properties[key]
+  }
+  return schema.additionalProperties !== undefined ? schema.additionalProperties : true
+}
+
+/**
+ * Turns a room name pattern into a RegExp, `*` matching any characters.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp (pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+class SchemaRegistry {
+  constructor () {
+    this.entries = new Map() // <name or pattern, { regExp, validate }>
+  }
+
+  /**
+   * Registers the schema of a room, or of every room matching a pattern like 'match:*'.
+   * For a room matching several patterns, the exact name wins, then the longest pattern.
+   * @param {string} pattern - The room name or pattern.
+   * @param {object|function} schema - A JSON Schema (subset) object describing the full data of the room,
+   *   or a validator function `(data, removed, roomName)` getting the fields an update sets and removes,
+   *   which returns an array of `{ path, message }` errors, or false, when the update is invalid.
+   *   A path starts with the field, e.g. '/players/p1/hp'; '' means the whole update.
+   * @throws {Error} If the schema uses an unsupported keyword.
+   */
+  register (pattern, schema) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new Error('A schema is registered for a room name or pattern.')
+    }
+    let validate
+    if (typeof schema === 'function') {
+      validate = (data, removed, roomName) => {
+        const result = schema(data, removed, roomName)
+        if (result === false) return [{ path: '', message: 'is invalid' }]
+        return Array.isArray(result) ? result : []
+      }
+    } else {
+      const compiled = compileSchema(schema)
+      validate = (data, removed) => {
+        const errors = []
+        for (const field of Object.keys(data)) {
+          validateValue(data[field], propertySchema(compiled, field), `/${escapeToken(field)}`, errors)
+        }
+        for (const field of removed) {
+          if (compiled.required && compiled.required.includes(field)) {
+            errors.push({ path: `/${escapeToken(field)}`, message: 'is required and cannot be removed' })
+          }
+        }
+        return errors
+      }
+    }
+    this.entries.set(pattern, { regExp: pattern.includes('*') ? patternToRegExp(pattern) : null, validate })
+  }
+
+  /**
+   * @param {string} pattern - The room name or pattern the schema was registered for.
+   * @returns {boolean} Whether a schema was registered.
+   */
+  unregister (pattern) {
+    return this.entries.delete(pattern)
+  }
+
+  /**
+   * @param {string} roomName
+   * @returns {boolean} Whether a schema applies to the room.
+   */
+  has (roomName) {
+    return this._entryFor(roomName) !== null
+  }
+
+  /**
+   * Validates an update of a room against its schema.
+   * @param {string} roomName
+   * @param {object} data - The fields the update sets, without null values.
+   * @param {string[]} removed - The fields it removes.
+   * @returns {Array<{path: string, message: string}>} The errors, empty if the update is valid or the room has no schema.
+   */
+  validate (roomName, data, removed) {
+    const entry = this._entryFor(roomName)
+    return entry ? entry.validate(data, removed, roomName) : []
+  }
+
+  _entryFor (roomName) {
+    if (this.entries.has(roomName) && !this.entries.get(roomName).regExp) {
+      return this.entries.get(roomName)
+    }
+    let best = null
+    let bestLength = -1
+    for (const [pattern, entry] of this.entries) {
+      if (entry.regExp && pattern.length > bestLength && entry.regExp.test(roomName)) {
+        best = entry
+        bestLength = pattern.length
+      }
+    }
+    return best
+  }
+}
+
+module.exports = SchemaRegistry
@@ -0,0 +1,581 @@
+const crypto = require('crypto')
+
+/**
+ * Wraps a Lua source with its SHA1 digest so it can be run via EVALSHA, along with
+ * an equivalent JavaScript implementation run by the memory adapter.
+ * Both implementations take the same KEYS and ARGV and must stay in sync.
+ * @param {string} source - The Lua source.
+ * @param {function(MemoryStore, string[], string[]): *} run - The JavaScript implementation.
+ * @returns {{source: string, sha: string, run: function}}
+ */
+function defineScript (source, run) {
+  return {
+    source,
+    sha: crypto.createHash('sha1').update(source).digest('hex'),
+    run
+  }
+}
+
+/**
+ * Defines a script that broadcasts on room channels in two variants, keyed by the
+ * broadcast command: 'PUBLISH', and 'SPUBLISH' for sharded pub/sub.
+ * @param {function({command: string, publish: string}): {source: string, run: function}} build -
+ *   Gets the Lua command and the matching MemoryStore method.
+ * @returns {{PUBLISH: object, SPUBLISH: object}}
+ */
+function definePublishingScript (build) {
+  const variants = {}
+  for (const [command, publish] of [['PUBLISH', 'publish'], ['SPUBLISH', 'sPublish']]) {
+    const { source, run } = build({ command, publish })
+    variants[command] = defineScript(source, run)
+  }
+  return variants
+}
+
+// Channel messages announcing members, `presence:<join|leave|expire>:<member>`.
+// Room updates are `<version>:<epoch>:<encoded message>` instead, see `parseUpdateMessage`.
+const PRESENCE_PREFIX = 'presence:'
+
+// Channel messages changing the lifecycle of a room, `control:<JSON { type }>`.
+const CONTROL_PREFIX = 'control:'
+
+// Lua's unpack fails beyond about 8000 values, so scripts pass long argument lists to
+// commands in chunks of this many values. Even, so field/value pairs are not split.
+const UNPACK_CHUNK = 1000
+
+/**
+ * Splits a room update message received on a channel or read from the update log.
+ * @param {string} message - `<version>:<epoch>:<encoded message>`.
+ * @returns {{version: number, epoch: string, body: string}} The epoch identifies the lifetime of the room:
+ *   it is drawn anew when the room's keys are created, so that versions restarting after the keys expired
+ *   or were deleted are not mistaken for old ones.
+ */
+function parseUpdateMessage (message) {
+  const versionEnd = message.indexOf(':')
+  const epochEnd = message.indexOf(':', versionEnd + 1)
+  return {
+    version: parseInt(message.slice(0, versionEnd), 10),
+    epoch: message.slice(versionEnd + 1, epochEnd),
+    body: message.slice(epochEnd + 1)
+  }
+}
+
+// How the field operations of the UPDATE script read the JSON numbers they add to, as Redis does.
+const INTEGER = /^-?\d+$/
+const NUMBER = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/
+
+/**
+ * Computes the new value of a field for a field operation of the UPDATE script, like its Lua source.
+ * @param {string} operation - 'incr', 'incrFloat' or 'append'.
+ * @param {string|undefined} current - The stored value, undefined if the field does not exist.
+ * @param {string} operand - The number to add, or the JSON array of the items to append.
+ * @returns {string|null} The new value, or null if the stored value is not one the operation applies to.
+ */
+function computeFieldValue (operation, current, operand) {
+  if (operation === 'append') {
+    current = current ?? '[]'
+    if (!current.startsWith('[')) return null
+    return current === '[]' ? operand : `${current.slice(0, -1)},${operand.slice(1)}`
+  }
+  current = current ?? '0'
+  if (!(operation === 'incr' ? INTEGER : NUMBER).test(current)) return null
+  const value = operation === 'incr' ? String(Number(current) + Number(operand)) : addDecimals(current, operand)
+  return Number.isFinite(Number(value)) ? value : null
+}
+
+/**
+ * @param {string} text - A decimal number, as NUMBER reads it or `String` writes it.
+ * @returns {[bigint, number]} Its digits as an integer, and the number of decimals they are scaled by.
+ */
+function toScaled (text) {
+  const [, sign, whole, fraction = '', exponent = '0'] = /^(-?)(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(text)
+  const digits = BigInt(sign + whole + fraction)
+  const scale = fraction.length - parseInt(exponent, 10)
+  return scale >= 0 ? [digits, scale] : [digits * 10n ** BigInt(-scale), 0]
+}
+
+/**
+ * Adds two decimal numbers like HINCRBYFLOAT, which prints its long double sum with 17 decimals
+ * and drops the trailing zeros, so that 0.1 + 0.2 is 0.3: the exact sum rounded to 17 decimals.
+ * Both agree unless the sum has more significant digits than a long double holds.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function addDecimals (a, b) {
+  const [x, xScale] = toScaled(a)
+  const [y, yScale] = toScaled(b)
+  let decimals = Math.max(xScale, yScale)
+  let sum = x * 10n ** BigInt(decimals - xScale) + y * 10n ** BigInt(decimals - yScale)
+  const negative = sum < 0n
+  if (negative) sum = -sum
+  if (decimals > 17) {
+    const divisor = 10n ** BigInt(decimals - 17)
+    sum = (sum * 2n + divisor) / (divisor * 2n)
+    decimals = 17
+  }
+  const digits = String(sum).padStart(decimals + 1, '0')
+  const whole = digits.slice(0, digits.length - decimals)
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+  return (negative && sum > 0n ? '-' : '') + whole + (fraction ? `.${fraction}` : '')
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset - A byte offset into the UTF-8 encoded text.
+ * @param {string} value - The text to insert there.
+ * @returns {string}
+ */
+function insertAt (text, offset, value) {
+  const bytes = Buffer.from(text)
+  return bytes.subarray(0, offset).toString() + value + bytes.subarray(offset).toString()
+}
+
+/**
+ * Applies a whole room update atomically: version bump, hash field removal and merge,
+ * history append/trim, update log append/trim, update time, expiry refresh and channel broadcast.
+ * The history is a list of entries, or a stream of `version`/`data` entries in the 'stream' history mode.
+ *
+ * KEYS: fullDataKey, historyKey, versionKey, channelKey, logKey, streamKey, metaKey, closedKey
+ * ARGV: historyLength, historyMode ('list' or 'stream'), resumeLength, ttl in milliseconds (0 for none),
+ *       now, epoch (stored if the update creates the room), encoded message, history entry ('' for none),
+ *       field operation ('' for none), message value offset, history value offset,
+ *       expected field count, expected field, expected encoded value ('' for an absent field), ...,
+ *       removed field count, removed field..., field, value, ...
+ * A field operation computes the new value of a single JSON encoded field from its stored value, so that
+ * concurrent operations never conflict: 'incr' and 'incrFloat' add the number given as the value of the
+ * field, 'append' appends the items of the JSON array given as its value. The computed value is inserted
+ * into the message and the history entry at the given byte offsets.
+ * The channel and the update log receive `<version>:<epoch>:<encoded message>`, with the epoch stored
+ * when the room was created. The ttl applies to every key but the closed flag, so a closed room does not
+ * reopen when its data expires. Returns the new room version, or with a field operation the version and
+ * the computed value; 0 without applying the update if the room is closed, -1 if an expected field does not
+ * hold its expected value, or -2 if the field of the operation does not hold a value it applies to.
+ */
+const UPDATE = definePublishingScript(({ command, publish }) => ({
+  source: `
+local historyLength = tonumber(ARGV[1])
+local resumeLength = tonumber(ARGV[3])
+local ttl = tonumber(ARGV[4])
+local operation = ARGV[9]
+local removedIndex = 13 + tonumber(ARGV[12]) * 2
+local removedCount = tonumber(ARGV[removedIndex])
+local fieldsIndex = removedIndex + removedCount + 1
+if redis.call('EXISTS', KEYS[8]) == 1 then
+  return 0
+end
+for i = 13, removedIndex - 1, 2 do
+  if (redis.call('HGET', KEYS[1], ARGV[i]) or '') ~= ARGV[i + 1] then
+    return -1
+  end
+end
+
+local message = ARGV[7]
+local historyEntry = ARGV[8]
+local value
+if operation ~= '' then
+  local field = ARGV[fieldsIndex]
+  if operation == 'append' then
+    local current = redis.call('HGET', KEYS[1], field) or '[]'
+    if string.sub(current, 1, 1) ~= '[' then
+      return -2
+    end
+    if current == '[]' then
+      value = ARGV[fieldsIndex + 1]
+    else
+      value = string.sub(current, 1, -2) .. ',' .. string.sub(ARGV[fieldsIndex + 1], 2)
+    end
+    redis.call('HSET', KEYS[1], field, value)
+  else
+    local reply = redis.pcall(operation == 'incr' and 'HINCRBY' or 'HINCRBYFLOAT', KEYS[1], field, ARGV[fieldsIndex + 1])
+    if type(reply) == 'table' and reply.err then
+      return -2
+    end
+    value = redis.call('HGET', KEYS[1], field)
+  end
+  local messageOffset = tonumber(ARGV[10])
+  message = string.sub(message, 1, messageOffset) .. value .. string.sub(message, messageOffset + 1)
+  local historyOffset = tonumber(ARGV[11])
+  historyEntry = string.sub(historyEntry, 1, historyOffset) .. value .. string.sub(historyEntry, historyOffset + 1)
+  fieldsIndex = #ARGV + 1
+end
+
+local version = redis.call('INCR', KEYS[3])
+local epoch = ARGV[6]
+if version == 1 then
+  redis.call('HSET', KEYS[7], 'epoch', epoch)
+else
+  epoch = redis.call('HGET', KEYS[7], 'epoch') or ''
+end
+
+for i = removedIndex + 1, removedIndex + removedCount, ${UNPACK_CHUNK} do
+  redis.call('HDEL', KEYS[1], unpack(ARGV, i, math.min(i + ${UNPACK_CHUNK - 1}, removedIndex + removedCount)))
+end
+
+for i = fieldsIndex, #ARGV, ${UNPACK_CHUNK} do
+  redis.call('HSET', KEYS[1], unpack(ARGV, i, math.min(i + ${UNPACK_CHUNK - 1}, #ARGV)))
+end
+
+if historyLength > 0 and historyEntry ~= '' then
+  if ARGV[2] == 'stream' then
+    redis.call('XADD', KEYS[6], 'MAXLEN', historyLength, '*', 'version', version, 'data', historyEntry)
+  else
+    redis.call('LPUSH', KEYS[2], historyEntry)
+    redis.call('LTRIM', KEYS[2], 0, historyLength - 1)
+  end
+end
+
+message = version .. ':' .. epoch .. ':' .. message
+if resumeLength > 0 then
+  redis.call('LPUSH', KEYS[5], message)
+  redis.call('LTRIM', KEYS[5], 0, resumeLength - 1)
+end
+
+redis.call('HSET', KEYS[7], 'updatedAt', ARGV[5])
+if ttl > 0 then
+  for _, key in ipairs({ KEYS[1], KEYS[2], KEYS[3], KEYS[5], KEYS[6], KEYS[7] }) do
+    redis.call('PEXPIRE', key, ttl)
+  end
+end
+
+redis.call('${command}', KEYS[4], message)
+if operation ~= '' then
+  return { version, value }
+end
+return version
+`,
+  run: (store, keys, args) => {
+    const historyLength = parseInt(args[0], 10)
+    const resumeLength = parseInt(args[2], 10)
+    const ttl = parseInt(args[3], 10)
+    const operation = args[8]
+    const removedIndex = 12 + parseInt(args[11], 10) * 2
+    const removedCount = parseInt(args[removedIndex], 10)
+    let fieldsIndex = removedIndex + 1 + removedCount
+    if (store.exists(keys[7])) {
+      return 0
+    }
+    for (let i = 12; i < removedIndex; i += 2) {
+      if ((store.hGet(keys[0], args[i]) ?? '') !== args[i + 1]) {
+        return -1
+      }
+    }
+
+    let message = args[6]
+    let historyEntry = args[7]
+    let value
+    if (operation !== '') {
+      const field = args[fieldsIndex]
+      value = computeFieldValue(operation, store.hGet(keys[0], field), args[fieldsIndex + 1])
+      if (value === null) {
+        return -2
+      }
+      store.hSet(keys[0], [field, value])
+      message = insertAt(message, parseInt(args[9], 10), value)
+      historyEntry = insertAt(historyEntry, parseInt(args[10], 10), value)
+      fieldsIndex = args.length
+    }
+
+    const version = store.incr(keys[2])
+    let epoch = args[5]
+    if (version === 1) {
+      store.hSet(keys[6], ['epoch', epoch])
+    } else {
+      epoch = store.hGet(keys[6], 'epoch') ?? ''
+    }
+
+    if (removedCount > 0) {
+      store.hDel(keys[0], args.slice(removedIndex + 1, removedIndex + 1 + removedCount))
+    }
+
+    if (args.length > fieldsIndex) {
+      store.hSet(keys[0], args.slice(fieldsIndex))
+    }
+
+    if (historyLength > 0 && historyEntry !== '') {
+      if (args[1] === 'stream') {
+        store.xAdd(keys[5], ['version', version, 'data', historyEntry], historyLength)
+      } else {
+        store.lPush(keys[1], historyEntry)
+        store.lTrim(keys[1], 0, historyLength - 1)
+      }
+    }
+
+    message = `${version}:${epoch}:${message}`
+    if (resumeLength > 0) {
+      store.lPush(keys[4], message)
+      store.lTrim(keys[4], 0, resumeLength - 1)
+    }
+
+    store.hSet(keys[6], ['updatedAt', args[4]])
+    if (ttl > 0) {
+      for (const key of [keys[0], keys[1], keys[2], keys[4], keys[5], keys[6]]) {
+        store.pExpire(key, ttl)
+      }
+    }
+
+    store[publish](keys[3], message)
+    return operation !== '' ? [version, value] : version
+  }
+}))
+
+/**
+ * Deletes every key of a room and tells its consumers, optionally only if it was not updated
+ * since a given time, so that a room updated meanwhile is kept.
+ *
+ * KEYS: fullDataKey, historyKey, versionKey, logKey, streamKey, metaKey, membersKey, closedKey, channelKey
+ * ARGV: updated before (a timestamp, '' to delete unconditionally)
+ * If keys were deleted, the channel receives a `delete` control message. Returns the number of deleted keys.
+ */
+const DELETE_ROOM = definePublishingScript(({ command, publish }) => ({
+  source: `
+if ARGV[1] ~= '' then
+  local updatedAt = tonumber(redis.call('HGET', KEYS[6], 'updatedAt'))
+  if not updatedAt or updatedAt >= tonumber(ARGV[1]) then
+    return 0
+  end
+end
+
+local deleted = redis.call('DEL', unpack(KEYS, 1, 8))
+if deleted > 0 then
+  redis.call('${command}', KEYS[9], '${CONTROL_PREFIX}{"type":"delete"}')
+end
+return deleted
+`,
+  run: (store, keys, args) => {
+    if (args[0] !== '') {
+      const updatedAt = store.hGet(keys[5], 'updatedAt')
+      if (updatedAt === null || Number(updatedAt) >= Number(args[0])) {
+        return 0
+      }
+    }
+
+    const deleted = store.del(keys.slice(0, 8))
+    if (deleted > 0) {
+      store[publish](keys[8], `${CONTROL_PREFIX}{"type":"delete"}`)
+    }
+    return deleted
+  }
+}))
+
+/**
+ * Deletes the history of a room, in both history modes, and tells its consumers.
+ *
+ * KEYS: historyKey, streamKey, channelKey
+ * If a history was deleted, the channel receives a `flushHistory` control message. Returns the number of deleted keys.
+ */
+const FLUSH_HISTORY = definePublishingScript(({ command, publish }) => ({
+  source: `
+local deleted = redis.call('DEL', KEYS[1], KEYS[2])
+if deleted > 0 then
+  redis.call('${command}', KEYS[3], '${CONTROL_PREFIX}{"type":"flushHistory"}')
+end
+return deleted
+`,
+  run: (store, keys) => {
+    const deleted = store.del(keys.slice(0, 2))
+    if (deleted > 0) {
+      store[publish](keys[2], `${CONTROL_PREFIX}{"type":"flushHistory"}`)
+    }
+    return deleted
+  }
+}))
+
+/**
+ * Closes a room: marks it closed, so that updates are rejected, and tells its consumers.
+ * The closed flag holds the closing time and never expires; only reopening or deleting the room drops it.
+ *
+ * KEYS: closedKey, channelKey
+ * ARGV: now, control message
+ * Returns 1 if the room was closed, 0 if it already was.
+ */
+const CLOSE_ROOM = definePublishingScript(({ command, publish }) => ({
+  source: `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1])
+redis.call('${command}', KEYS[2], ARGV[2])
+return 1
+`,
+  run: (store, keys, args) => {
+    if (store.exists(keys[0])) {
+      return 0
+    }
+    store.set(keys[0], args[0])
+    store[publish](keys[1], args[1])
+    return 1
+  }
+}))
+
+/**
+ * Reopens a closed room, so that it accepts updates again.
+ *
+ * KEYS: closedKey
+ * Returns 1 if the room was closed, 0 otherwise.
+ */
+const REOPEN_ROOM = defineScript(`
+return redis.call('DEL', KEYS[1])
+`, (store, keys) => store.del(keys[0]))
+
+/**
+ * Reads fields of the full data of a room.
+ *
+ * KEYS: fullDataKey
+ * ARGV: field...
+ * Returns the encoded values, nil for the fields that do not exist.
+ */
+const READ_FIELDS = defineScript(`
+local values = {}
+for i = 1, #ARGV, ${UNPACK_CHUNK} do
+  local chunk = redis.call('HMGET', KEYS[1], unpack(ARGV, i, math.min(i + ${UNPACK_CHUNK - 1}, #ARGV)))
+  for j = 1, #chunk do
+    values[i + j - 1] = chunk[j]
+  end
+end
+return values
+`, (store, keys, args) => args.map(field => store.hGet(keys[0], field)))
+
+/**
+ * Reads the update log of a room, newest first.
+ *
+ * KEYS: logKey
+ * Returns the logged `<version>:<encoded message>` entries.
+ */
+const READ_LOG = defineScript(`
+return redis.call('LRANGE', KEYS[1], 0, -1)
+`, (store, keys) => store.lRange(keys[0], 0, -1))
+
+/**
+ * Reads the stream history of a room between two entry ids, newest first.
+ *
+ * KEYS: streamKey
+ * ARGV: end id, start id, count
+ * Returns `[id, [field, value, ...]]` entries.
+ */
+const READ_HISTORY = defineScript(`
+return redis.call('XREVRANGE', KEYS[1], ARGV[1], ARGV[2], 'COUNT', ARGV[3])
+`, (store, keys, args) => store.xRevRange(keys[0], args[0], args[1], parseInt(args[2], 10)))
+
+/**
+ * Adds or refreshes a member of a room, announcing it if it is new.
+ *
+ * KEYS: membersKey, channelKey
+ * ARGV: expiresAt, member
+ * Returns 1 if the member was added, 0 if it was refreshed.
+ */
+const PRESENCE_JOIN = definePublishingScript(({ command, publish }) => ({
+  source: `
+local added = redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2])
+if added == 1 then
+  redis.call('${command}', KEYS[2], '${PRESENCE_PREFIX}join:' .. ARGV[2])
+end
+return added
+`,
+  run: (store, keys, args) => {
+    const added = store.zAdd(keys[0], Number(args[0]), args[1])
+    if (added === 1) {
+      store[publish](keys[1], `${PRESENCE_PREFIX}join:${args[1]}`)
+    }
+    return added
+  }
+}))
+
+/**
+ * Removes a member of a room, announcing it if it was present.
+ *
+ * KEYS: membersKey, channelKey
+ * ARGV: member
+ * Returns 1 if the member was removed, 0 if it was not present.
+ */
+const PRESENCE_LEAVE = definePublishingScript(({ command, publish }) => ({
+  source: `
+local removed = redis.call('ZREM', KEYS[1], ARGV[1])
+if removed == 1 then
+  redis.call('${command}', KEYS[2], '${PRESENCE_PREFIX}leave:' .. ARGV[1])
+end
+return removed
+`,
+  run: (store, keys, args) => {
+    const removed = store.zRem(keys[0], args[0])
+    if (removed === 1) {
+      store[publish](keys[1], `${PRESENCE_PREFIX}leave:${args[0]}`)
+    }
+    return removed
+  }
+}))
+
+/**
+ * Removes and announces the expired members of a room, e.g. those of a crashed server,
+ * then refreshes the given members and reads the remaining ones.
+ * Members are scored by the time they expire, which heartbeats push back.
+ *
+ * KEYS: membersKey, channelKey
+ * ARGV: now, expiresAt, reply ('members', 'count' or ''), member to refresh...
+ * Returns the members, their count, or the number of expired members.
+ */
+const PRESENCE_SWEEP = definePublishingScript(({ command, publish }) => ({
+  source: `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if #expired > 0 then
+  redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+  for _, member in ipairs(expired) do
+    redis.call('${command}', KEYS[2], '${PRESENCE_PREFIX}expire:' .. member)
+  end
+end
+
+for i = 4, #ARGV do
+  if redis.call('ZADD', KEYS[1], ARGV[2], ARGV[i]) == 1 then
+    redis.call('${command}', KEYS[2], '${PRESENCE_PREFIX}join:' .. ARGV[i])
+  end
+end
+
+if ARGV[3] == 'members' then
+  return redis.call('ZRANGE', KEYS[1], 0, -1)
+elseif ARGV[3] == 'count' then
+  return redis.call('ZCARD', KEYS[1])
+end
+return #expired
+`,
+  run: (store, keys, args) => {
+    const [now, expiresAt, reply, ...members] = args
+    const expired = store.zRangeByScore(keys[0], -Infinity, Number(now))
+    if (expired.length > 0) {
+      store.zRemRangeByScore(keys[0], -Infinity, Number(now))
+      for (const member of expired) {
+        store[publish](keys[1], `${PRESENCE_PREFIX}expire:${member}`)
+      }
+    }
+
+    for (const member of members) {
+      if (store.zAdd(keys[0], Number(expiresAt), member) === 1) {
+        store[publish](keys[1], `${PRESENCE_PREFIX}join:${member}`)
+      }
+    }
+
+    if (reply === 'members') {
+      return store.zRange(keys[0], 0, -1)
+    } else if (reply === 'count') {
+      return store.zCard(keys[0])
+    }
+    return expired.length
+  }
+}))
+
+module.exports = {
+  PRESENCE_PREFIX,
+  CONTROL_PREFIX,
+  parseUpdateMessage,
+  addDecimals,
+  UPDATE,
+  DELETE_ROOM,
+  FLUSH_HISTORY,
+  CLOSE_ROOM,
+  REOPEN_ROOM,
+  READ_FIELDS,
+  READ_LOG,
+  READ_HISTORY,
+  PRESENCE_JOIN,
+  PRESENCE_LEAVE,
+  PRESENCE_SWEEP
+}
@@ -0,0 +1,118 @@
+class UpdateCoalescer {
+  /**
+   * Limits how often updates are delivered: the first update after a quiet period is delivered
+   * at once, later ones are merged and delivered when the interval has passed since the last
+   * delivery, so the final state is always delivered.
+   * Updates are merged per source room, so a pattern room delivers one update per changed room.
+   * Delivered updates are `{ type, data, removed, meta }`, with `meta.coalesced` counting the
+   * merged updates and `meta.patch` concatenating their patches if they all were patches;
+   * the caller adds the full data.
+   * @param {number} interval - The minimum number of milliseconds between deliveries.
+   * @param {function(object): void} deliver - Called with each merged update.
+   */
+  constructor (interval, deliver) {
+    this.interval = interval
+    this.deliver = deliver
+    this.pending = new Map() // <roomName, merged update>
+    this.lastDelivery = 0
+    this.timer = null
+  }
+
+  /**
+   * Resolves the coalescing options of a room or a join.
+   * @param {object} opts
+   * @param {number} [opts.throttle] - The minimum number of milliseconds between deliveries.
+   * @param {number} [opts.maxRate] - The maximum number of deliveries per second.
+   * @returns {number} The interval in milliseconds, 0 for no coalescing.
+   */
+  static intervalOf (opts = {}) {
+    if (opts.throttle > 0) return opts.throttle
+    if (opts.maxRate > 0) return 1000 / opts.maxRate
+    return 0
+  }
+
+  /**
+   * @param {{type: string, data: object|null, removed: string[], meta: object}} update
+   */
+  push ({ data, removed, meta }) {
+    let entry = this.pending.get(meta.room)
+    if (!entry) {
+      entry = { data: {}, removed: new Set(), count: 0, meta: {}, patch: meta.patch || null }
+      this.pending.set(meta.room, entry)
+    } else {
+      entry.patch = entry.patch && meta.patch ? entry.patch.concat(meta.patch) : null
+    }
+
+    for (const key of removed) {
+      delete entry.data[key]
+      entry.removed.add(key)
+    }
+    for (const key in data) {
+      entry.data[key] = data[key]
+      entry.removed.delete(key)
+    }
+    entry.count++
+    entry.meta = {
+      ...entry.meta,
+      ...meta,
+      roomAdded: Boolean(entry.meta.roomAdded || meta.roomAdded),
+      roomRemoved: Boolean(meta.roomRemoved)
+    }
+
+    if (!this.timer) {
+      const wait = this.lastDelivery + this.interval - Date.now()
+      if (wait <= 0) {
+        this.flush()
+      } else {
+        this.timer = setTimeout(() => this.flush(), wait)
+      }
+    }
+  }
+
+  /**
+   * Delivers the pending updates now.
+   */
+  flush () {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    if (this.pending.size === 0) return
+
+    const entries = Array.from(this.pending.values())
+    this.pending.clear()
+    this.lastDelivery = Date.now()
+    for (const { data, removed, count, meta, patch } of entries) {
+      const hasData = Object.keys(data).length > 0
+      const removedFields = Array.from(removed)
+      const mergedMeta = { ...meta, removed: removedFields, coalesced: count }
+      if (!mergedMeta.roomAdded) delete mergedMeta.roomAdded
+      if (!mergedMeta.roomRemoved) delete mergedMeta.roomRemoved
+      if (patch) {
+        mergedMeta.patch = patch
+      } else {
+        delete mergedMeta.patch
+      }
+
+      this.deliver({
+        type: hasData ? 'data' : 'delete',
+        data: hasData ? Object.freeze(data) : null,
+        removed: removedFields,
+        meta: mergedMeta
+      })
+    }
+  }
+
+  /**
+   * Drops the pending updates, e.g. when the full data is reloaded.
+   */
+  cancel () {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    this.pending.clear()
+  }
+}
+
+module.exports = UpdateCoalescer
@@ -0,0 +1,125 @@
+const UPDATE_EVENTS = ['data', 'delete', 'resync', 'close']
+
+class UpdateIterator {
+  /**
+   * Async iterator over the updates of a room, see `Room#updates`.
+   * Listens to the room and starts loading it right away; updates received before the first `next()`
+   * or while the consumer is busy are buffered up to `bufferSize`.
+   * @param {Room} room - The room to iterate.
+   * @param {object} [opts]
+   * @param {number} [opts.bufferSize=100] - The maximum number of buffered updates.
+   * @param {string} [opts.overflow='dropOldest'] - What to do when the buffer is full:
+   *   'dropOldest' discards the oldest buffered update, 'error' ends the iteration with an error.
+   */
+  constructor (room, { bufferSize = 100, overflow = 'dropOldest' } = {}) {
+    if (!(bufferSize > 0)) {
+      throw new Error('Update buffer size must be a positive number.')
+    }
+    if (overflow !== 'dropOldest' && overflow !== 'error') {
+      throw new Error(`Unknown overflow strategy: ${overflow}. Use 'dropOldest' or 'error'.`)
+    }
+
+    this.room = room
+    this.bufferSize = bufferSize
+    this.overflow = overflow
+
+    this.buffer = []
+    this.waiters = [] // Pending next() calls, waiting for an update.
+    this.error = null
+    this.done = false
+
+    this.onUpdate = update => this._push(update)
+    this.onDestroy = () => this._finish()
+    for (const event of UPDATE_EVENTS) {
+      room.on(event, this.onUpdate)
+    }
+    room.on('destroy', this.onDestroy)
+
+    this.ready = room._ensureInitialized()
+    this.ready.catch(() => {}) // Surfaced by next().
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  async next () {
+    try {
+      await this.ready
+    } catch (err) {
+      this._detach()
+      this.done = true
+      throw err
+    }
+
+    if (this.error) {
+      const err = this.error
+      this.error = null
+      throw err
+    }
+    if (this.buffer.length > 0) {
+      return { value: this.buffer.shift(), done: false }
+    }
+    if (this.done) {
+      return { value: undefined, done: true }
+    }
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject })
+    })
+  }
+
+  /**
+   * Stops the iteration, e.g. when breaking out of a `for await` loop.
+   */
+  async return () {
+    this.buffer = []
+    this._finish()
+    return { value: undefined, done: true }
+  }
+
+  _push (update) {
+    if (this.waiters.length > 0) {
+      this.waiters.shift().resolve({ value: update, done: false })
+      return
+    }
+    if (this.buffer.length >= this.bufferSize) {
+      if (this.overflow === 'error') {
+        this._fail(new Error(`Update buffer of room ${this.room.name} overflowed (${this.bufferSize} updates).`))
+        return
+      }
+      this.buffer.shift()
+    }
+    this.buffer.push(update)
+  }
+
+  _fail (err) {
+    this.buffer = []
+    this._detach()
+    this.done = true
+    if (this.waiters.length > 0) {
+      for (const { reject } of this.waiters.splice(0)) reject(err)
+    } else {
+      this.error = err
+    }
+  }
+
+  // Ends the iteration once the buffered updates are consumed.
+  _finish () {
+    this._detach()
+    this.done = true
+    for (const { resolve } of this.waiters.splice(0)) {
+      resolve({ value: undefined, done: true })
+    }
+  }
+
+  _detach () {
+    for (const event of UPDATE_EVENTS) {
+      this.room.removeListener(event, this.onUpdate)
+    }
+    this.room.removeListener('destroy', this.onDestroy)
+  }
+}
+
+UpdateIterator.UPDATE_EVENTS = UPDATE_EVENTS
+
+module.exports = UpdateIterator
@@ -0,0 +1,170 @@
+// Pomelo admin module reporting the rooms of every server to the master, and running room commands
+// for admin clients such as pomelo-cli.
+//
+// Admin client requests, `{ signal, room, serverId }`:
+// - 'list': the rooms last reported by each server, or by `serverId`, optionally only `room`,
+// - 'dump': the room's local state on each server holding it, or on `serverId`, and its stored state,
+// - 'destroy': destroys the room's instance on each server holding it, or on `serverId`,
+// - 'flushHistory': deletes the room's history, on every server.
+
+const MODULE_ID = 'room'
+
+// A report older than this many intervals is flagged as stale, its server may be down.
+const STALE_INTERVALS = 3
+
+const COMMANDS = ['list', 'dump', 'destroy', 'flushHistory']
+
+// Errors are passed as strings, as Error objects do not survive the trip to admin clients.
+function invokeCallback (fn, ...args) {
+  if (typeof fn === 'function') fn(...args)
+}
+
+class RoomAdminModule {
+  /**
+   * @param {object} opts
+   * @param {object} opts.app - The Pomelo application.
+   * @param {string} [opts.type='pull'] - 'pull' for the master to ask for reports, 'push' for servers to send them.
+   * @param {number} [opts.interval=10] - The reporting interval in seconds.
+   * @param {string[]} [opts.serverTypes] - The server types running the room plugin, which the master asks
+   *   for reports in pull mode. All servers by default.
+   */
+  constructor (opts = {}) {
+    this.app = opts.app
+    this.type = opts.type || 'pull'
+    this.interval = opts.interval || 10
+    this.serverTypes = opts.serverTypes || null
+  }
+
+  /**
+   * Runs on each server: reports its rooms when asked with no message or on its own interval,
+   * and runs the commands the master forwards from admin clients.
+   */
+  monitorHandler (agent, msg, cb) {
+    const roomService = this.app && this.app.get('roomService')
+    if (!roomService) {
+      invokeCallback(cb, 'The room plugin is not loaded on this server.')
+      return
+    }
+    if (!msg) {
+      agent.notify(MODULE_ID, { serverId: agent.id, rooms: roomService.listRooms() })
+      return
+    }
+    runCommand(roomService, msg).then(result => invokeCallback(cb, null, result), err => invokeCallback(cb, err.message))
+  }
+
+  /**
+   * Runs on the master: asks the servers for reports on its interval in pull mode, and keeps the reports.
+   */
+  masterHandler (agent, msg) {
+    if (!msg) {
+      if (this.serverTypes) {
+        for (const serverType of this.serverTypes) {
+          agent.notifyByType(serverType, MODULE_ID)
+        }
+      } else {
+        agent.notifyAll(MODULE_ID)
+      }
+      return
+    }
+    const reports = agent.get(MODULE_ID) || {}
+    reports[msg.serverId] = { rooms: msg.rooms, reportedAt: Date.now() }
+    agent.set(MODULE_ID, reports)
+  }
+
+  /**
+   * Runs on the master for admin client requests.
+   */
+  clientHandler (agent, msg, cb) {
+    const { signal, room, serverId } = msg || {}
+    if (!COMMANDS.includes(signal)) {
+      invokeCallback(cb, `Unknown signal: ${signal}. Use ${COMMANDS.join(', ')}.`)
+      return
+    }
+    const reports = agent.get(MODULE_ID) || {}
+    if (signal === 'list') {
+      invokeCallback(cb, null, this._listReports(reports, serverId, room))
+      return
+    }
+    if (typeof room !== 'string' || room.length === 0) {
+      invokeCallback(cb, `The ${signal} signal requires a room name.`)
+      return
+    }
+
+    let targets
+    if (serverId) {
+      targets = [serverId]
+    } else if (signal === 'flushHistory') {
+      // The history is shared, any server can flush it.
+      targets = Object.keys(reports).slice(0, 1)
+    } else {
+      targets = Object.keys(reports).filter(id => reports[id].rooms.some(info => info.name === room))
+    }
+    if (targets.length === 0) {
+      invokeCallback(cb, signal === 'flushHistory' ? 'No server reported the room plugin yet.' : `No server reported room ${room}.`)
+      return
+    }
+
+    Promise.all(targets.map(id => new Promise(resolve => {
+      agent.request(id, MODULE_ID, { signal, room }, (err, result) => resolve([id, err ? { error: err.message || err } : result]))
+    }))).then(entries => {
+      if (signal === 'destroy') {
+        for (const [id, result] of entries) {
+          if (result.destroyed && reports[id]) {
+            reports[id].rooms = reports[id].rooms.filter(info => info.name !== room)
+          }
+        }
+      }
+      invokeCallback(cb, null, Object.fromEntries(entries))
+    })
+  }
+
+  _listReports (reports, serverId, room) {
+    const staleBefore = Date.now() - STALE_INTERVALS * this.interval * 1000
+    const result = {}
+    for (const id of Object.keys(reports)) {
+      if (serverId && id !== serverId) continue
+      const { rooms, reportedAt } = reports[id]
+      result[id] = {
+        reportedAt,
+        stale: reportedAt < staleBefore,
+        rooms: room ? rooms.filter(info => info.name === room) : rooms
+      }
+    }
+    return result
+  }
+}
+
+/**
+ * Runs an admin command on this server.
+ * @param {RoomService} roomService
+ * @param {{signal: string, room: string}} msg
+ * @returns {Promise<*>}
+ */
+async function runCommand (roomService, { signal, room: name }) {
+  switch (signal) {
+    case 'list':
+      return roomService.listRooms()
+    case 'destroy':
+      return { destroyed: await roomService.destroyRoom(name) }
+    case 'flushHistory':
+      return { flushed: await roomService.flushHistory(name) }
+    case 'dump': {
+      const room = roomService.manager.rooms.get(name)
+      const local = room
+        ? { info: room.getInfo(), fullData: room.getSnapshot(), history: room.historyData }
+        : null
+      const stored = name.includes('*')
+        ? null
+        : await roomService.readRoom(name, { historyMode: room ? room.opts.historyMode : 'list' })
+      return { local, stored }
+    }
+    default:
+      throw new Error(`Unknown signal: ${signal}.`)
+  }
+}
+
+module.exports = function (opts) {
+  return new RoomAdminModule(opts)
+}
+
+module.exports.moduleId = MODULE_ID
@@ -0,0 +1,249 @@
+const { UPDATE_EVENTS } = require('../manager/updateIterator')
+
+class RoomChannel {
+  /**
+   * Pushes the updates of a room to Pomelo frontend sessions through a channel of the app's channelService.
+   * Joined sessions receive the room's full data first, then incremental updates on the same route:
+   * - `{ room, type: 'snapshot', fullData, version, epoch }` on join, and to everyone after a resync,
+   *   `version` and `epoch` are omitted for pattern rooms. The epoch of the versions only changes when the
+   *   room starts over after it was deleted or expired, which is followed by a 'close' message,
+   * - `{ room, type: 'data', data, version }` and `{ room, type: 'delete', removed, version }` for updates,
+   *   with `removed` also set on data updates that remove fields, and `patch` on patches,
+   * - `{ room, type: 'batch', updates }` with several of the above when batching,
+   * - `{ room, type: 'close', reason }` when the room was deleted, with `final: true` when it was
+   *   closed, after which the sessions have left the room.
+   * Channel pushes are grouped per connector by Pomelo.
+   * @param {RoomService} service - The RoomService the room belongs to.
+   * @param {Room} room - The room to push updates of.
+   * @param {string} route - The route the client listens on.
+   * @param {object} [opts]
+   * @param {number} [opts.batchInterval=0] - Collect updates for this many milliseconds and push them at once.
+   */
+  constructor (service, room, route, opts = {}) {
+    this.service = service
+    this.room = room
+    this.route = route
+    this.batchInterval = opts.batchInterval || 0
+
+    this.channelService = service.app.get('channelService')
+    if (!this.channelService) {
+      throw new Error('Binding a room to a channel requires the Pomelo channelService.')
+    }
+    this.channelName = `${service.manager.globalPrefix}:${room.name}`
+    this.channel = this.channelService.getChannel(this.channelName, true)
+
+    this.sessions = new Map() // <uid, { sid, onClosed, session }>
+    this.batch = []
+    this.batchTimer = null
+
+    this.onUpdate = update => this._push(update)
+    this.onDestroy = () => this.destroy()
+    room.on('destroy', this.onDestroy)
+  }
+
+  /**
+   * Joins a frontend session to the room: pushes the room's full data to it, then its updates.
+   * The session leaves automatically when it is closed. Backend sessions don't report being closed,
+   * call `leaveSession` for them.
+   * A session resuming with `sinceVersion` and `sinceEpoch` gets the updates it missed instead of the full data,
+   * if the room still logs them, see `Room#join`.
+   * The session is the extra data of the join, so the canJoin hook can check it.
+   * @param {object} session - A Pomelo session or backend session, bound to a uid.
+   * @param {object} [opts]
+   * @param {number} [opts.sinceVersion] - The last version the client received.
+   * @param {string} [opts.sinceEpoch] - The epoch of that version.
+   * @returns {Promise<boolean>} Whether the session resumed from `sinceVersion`.
+   */
+  async joinSession (session, opts = {}) {
+    const uid = session.uid
+    const sid = session.frontendId
+    if (uid === undefined || uid === null) {
+      throw new Error('Only sessions bound to a uid can join a room.')
+    }
+
+    await this.leaveSession(session)
+
+    const entry = { sid, session, onClosed: null }
+    if (typeof session.on === 'function') {
+      entry.onClosed = () => {
+        this.leaveSession(session).catch(err => {
+          this.service.manager.logger.error(`[RoomChannel] Error leaving room ${this.room.name} on session close:`, err)
+        })
+      }
+      session.on('closed', entry.onClosed)
+    }
+    this.sessions.set(uid, entry)
+    if (this.sessions.size === 1) {
+      this._listen()
+    }
+
+    const replayed = []
+    let resumed
+    try {
+      resumed = await this.room.join(uid, (fullData, newData, extraData, meta) => {
+        if (meta && meta.replayed) {
+          replayed.push(this._updateMessage({ type: newData && Object.keys(newData).length > 0 ? 'data' : 'delete', data: newData, meta }))
+          return
+        }
+        if (newData !== null || meta) return // Updates are pushed to the whole channel instead.
+        // The initial call runs right after loading, so pending updates are already part of fullData
+        // and are flushed to the other members before this session is added.
+        this._flush()
+        this.channel.add(uid, sid)
+        this._pushToSession(uid, sid, this._snapshotMessage(fullData))
+      }, session, { sinceVersion: opts.sinceVersion, sinceEpoch: opts.sinceEpoch })
+    } catch (err) {
+      this._removeSession(uid)
+      throw err
+    }
+
+    if (resumed) {
+      // join resolves right after replaying, before any further update is received,
+      // so the replayed updates are exactly those up to the ones pushed to the channel from now on.
+      this._flush()
+      this.channel.add(uid, sid)
+      if (replayed.length === 1) {
+        this._pushToSession(uid, sid, replayed[0])
+      } else if (replayed.length > 1) {
+        this._pushToSession(uid, sid, { room: this.room.name, type: 'batch', updates: replayed })
+      }
+    }
+    return resumed
+  }
+
+  /**
+   * Makes a session leave the room and stop receiving its updates.
+   * @param {object} session - A Pomelo session or backend session.
+   */
+  async leaveSession (session) {
+    if (this._removeSession(session.uid)) {
+      await this.room.leave(session.uid)
+    }
+  }
+
+  _removeSession (uid) {
+    const entry = this.sessions.get(uid)
+    if (!entry) return false
+
+    this.sessions.delete(uid)
+    if (entry.onClosed && typeof entry.session.removeListener === 'function') {
+      entry.session.removeListener('closed', entry.onClosed)
+    }
+    this.channel.leave(uid, entry.sid)
+    if (this.sessions.size === 0) {
+      this._unlisten()
+    }
+    return true
+  }
+
+  /**
+   * Stops pushing updates and destroys the channel, e.g. when the room is destroyed.
+   */
+  destroy () {
+    this._unlisten()
+    this.room.removeListener('destroy', this.onDestroy)
+    for (const entry of this.sessions.values()) {
+      if (entry.onClosed && typeof entry.session.removeListener === 'function') {
+        entry.session.removeListener('closed', entry.onClosed)
+      }
+    }
+    this.sessions.clear()
+    this.channelService.destroyChannel(this.channelName)
+    this.service._unbindChannel(this)
+  }
+
+  // Updates are only listened to while sessions are joined, so that the room can become idle.
+  _listen () {
+    for (const event of UPDATE_EVENTS) {
+      this.room.on(event, this.onUpdate)
+    }
+  }
+
+  _unlisten () {
+    for (const event of UPDATE_EVENTS) {
+      this.room.removeListener(event, this.onUpdate)
+    }
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer)
+      this.batchTimer = null
+    }
+    this.batch = []
+  }
+
+  _push ({ type, fullData, data, meta }) {
+    if (type === 'resync') {
+      // The reloaded full data supersedes every pending update.
+      this.batch = []
+      this._pushToChannel(this._snapshotMessage(fullData))
+      return
+    }
+    if (type === 'close') {
+      this._flush()
+      const message = { room: meta.room, type: 'close', reason: meta.reason }
+      if (meta.final) {
+        message.final = true
+      }
+      this._pushToChannel(message)
+      return
+    }
+
+    const message = this._updateMessage({ type, data, meta })
+    if (!this.batchInterval) {
+      this._pushToChannel(message)
+      return
+    }
+
+    this.batch.push(message)
+    if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => this._flush(), this.batchInterval)
+    }
+  }
+
+  _snapshotMessage (fullData) {
+    const message = { room: this.room.name, type: 'snapshot', fullData }
+    if (!this.room.patternMode) {
+      message.version = this.room.getVersion()
+      message.epoch = this.room.getEpoch()
+    }
+    return message
+  }
+
+  _updateMessage ({ type, data, meta }) {
+    const message = type === 'data'
+      ? { room: meta.room, type, data, version: meta.version }
+      : { room: meta.room, type, removed: meta.removed, version: meta.version }
+    if (type === 'data' && meta.removed.length > 0) {
+      message.removed = meta.removed
+    }
+    if (meta.patch) {
+      message.patch = meta.patch
+    }
+    return message
+  }
+
+  _flush () {
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer)
+      this.batchTimer = null
+    }
+    if (this.batch.length === 0) return
+
+    const updates = this.batch
+    this.batch = []
+    this._pushToChannel({ room: this.room.name, type: 'batch', updates })
+  }
+
+  _pushToChannel (message) {
+    this.channel.pushMessage(this.route, message, {}, err => {
+      if (err) this.service.manager.logger.error(`[RoomChannel] Error pushing updates of room ${this.room.name}:`, err)
+    })
+  }
+
+  _pushToSession (uid, sid, message) {
+    this.channelService.pushMessageByUids(this.route, message, [{ uid, sid }], {}, err => {
+      if (err) this.service.manager.logger.error(`[RoomChannel] Error pushing room ${this.room.name} to ${uid}:`, err)
+    })
+  }
+}
+
+module.exports = RoomChannel
@@ -1,26 +1,105 @@
+const http = require('http')
 const RoomManager = require('../manager/roomManager')
+const RoomChannel = require('./roomChannel')
+const { formatPrometheus } = require('../manager/metrics')
 
 class RoomService {
   constructor (app, opts) {
     this.app = app
     this.opts = opts
     this.manager = new RoomManager(app, this.opts)
+    this.channels = new Map() // <roomName, RoomChannel>
+    this.metricsServer = null // Serves the Prometheus metrics when the metricsPort option is set.
   }
 
   /**
    * Start the service, connect to redis.
+   * If the metrics server cannot listen, e.g. because `metricsPort` is in use, the service is stopped again.
    */
   async start (cb) {
     await this.manager.start()
-    process.nextTick(cb)
+    if (this.opts.metricsPort !== undefined && this.opts.metricsPort !== null) {
+      try {
+        await this._startMetricsServer()
+      } catch (err) {
+        await this.manager.stop()
+        throw err
+      }
+    }
+    if (cb) process.nextTick(cb)
   }
 
   /**
    * Stop the service, disconnect from redis.
    */
   async stop (force, cb) {
+    if (this.metricsServer) {
+      await new Promise(resolve => this.metricsServer.close(resolve))
+      this.metricsServer = null
+    }
     await this.manager.stop()
-    process.nextTick(cb)
+    if (cb) process.nextTick(cb)
+  }
+
+  /**
+   * Gets the state of this server's rooms and the counters of its traffic, see `RoomManager#getStats`.
+   * @returns {object}
+   */
+  getStats () {
+    return this.manager.getStats()
+  }
+
+  /**
+   * Gets the stats of this server in the Prometheus text format.
+   * @param {object} [opts]
+   * @param {string} [opts.prefix='pomelo_room'] - The prefix of the metric names.
+   * @param {boolean} [opts.perRoom=true] - Whether to export the joined users of each room.
+   * @returns {string}
+   */
+  getPrometheusMetrics (opts) {
+    return formatPrometheus(this.getStats(), opts)
+  }
+
+  /**
+   * Serves the Prometheus metrics over HTTP on `metricsPort`, at `metricsPath`.
+   * @returns {Promise<void>}
+   */
+  _startMetricsServer () {
+    const path = this.opts.metricsPath || '/metrics'
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.writeHead(404).end()
+        return
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+      res.end(this.getPrometheusMetrics({ perRoom: this.opts.metricsPerRoom !== false }))
+    })
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(this.opts.metricsPort, this.opts.metricsHost, () => {
+        server.removeListener('error', reject)
+        this.metricsServer = server
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Registers the schema validating the updates of a room, or of every room matching a pattern.
+   * Updates that do not match it are rejected with a `SchemaValidationError`.
+   * @param {string} pattern - The room name or pattern, e.g. 'match:*'.
+   * @param {object|function} schema - A JSON Schema subset describing the fields of the room, or a validator function.
+   */
+  registerSchema (pattern, schema) {
+    this.manager.registerSchema(pattern, schema)
+  }
+
+  /**
+   * @param {string} pattern - The room name or pattern the schema was registered for.
+   * @returns {boolean} Whether a schema was registered.
+   */
+  unregisterSchema (pattern) {
+    return this.manager.unregisterSchema(pattern)
   }
 
   /**
@@ -28,9 +107,207 @@ class RoomService {
    * @param {string} name - The name of the room.
    * @param {object} data - The data to publish.
    * @param {object} [opts] - Options for this specific publish operation.
+   * @returns {Promise<number>} The room version produced by this update.
    */
   async publish (name, data, opts) {
-    await this.manager.publish(name, data, opts)
+    return this.manager.publish(name, data, opts)
+  }
+
+  /**
+   * Removes fields from a room's full data without needing a room instance.
+   * @param {string} name - The name of the room.
+   * @param {string|string[]} fields - The field(s) to remove.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The room version produced by this update.
+   */
+  async remove (name, fields, opts) {
+    return this.manager.remove(name, fields, opts)
+  }
+
+  /**
+   * Applies JSON Patch operations to the nested values of a room atomically, without needing a room instance.
+   * @param {string} name - The name of the room.
+   * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations - The first token of a path is the field.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the patch changed nothing.
+   * @throws {FieldConflictError} If the patched fields kept changing; any other error is a failed operation.
+   */
+  async patch (name, operations, opts) {
+    return this.manager.patch(name, operations, opts)
+  }
+
+  /**
+   * Deep merges data into a room atomically, without needing a room instance.
+   * @param {string} name - The name of the room.
+   * @param {object} data - The data to merge, null removes a member.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number|null>} The room version produced by this update, or null if the merge changed nothing.
+   * @throws {FieldConflictError} If the merged fields kept changing.
+   */
+  async merge (name, data, opts) {
+    return this.manager.merge(name, data, opts)
+  }
+
+  /**
+   * Atomically increments an integer field of a room without needing a room instance.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to increment.
+   * @param {number} [by=1] - The integer to add, can be negative.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incr (name, field, by, opts) {
+    return this.manager.incr(name, field, by, opts)
+  }
+
+  /**
+   * Atomically increments a numeric field of a room by a floating point number.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to increment.
+   * @param {number} by - The number to add, can be negative.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The new value of the field.
+   */
+  async incrFloat (name, field, by, opts) {
+    return this.manager.incrFloat(name, field, by, opts)
+  }
+
+  /**
+   * Atomically sets a field of a room if it does not exist yet.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to set.
+   * @param {*} value - The value to set.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async setIfAbsent (name, field, value, opts) {
+    return this.manager.setIfAbsent(name, field, value, opts)
+  }
+
+  /**
+   * Atomically sets a field of a room if it holds the expected value, compared deeply.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The field to set.
+   * @param {*} expected - The expected current value, undefined for a field that does not exist.
+   * @param {*} value - The value to set.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<boolean>} Whether the field was set.
+   */
+  async compareAndSet (name, field, expected, value, opts) {
+    return this.manager.compareAndSet(name, field, expected, value, opts)
+  }
+
+  /**
+   * Atomically appends items to a list field of a room.
+   * @param {string} name - The name of the room.
+   * @param {string} field - The list field.
+   * @param {Array} items - The items to append.
+   * @param {object} [opts] - Options for this specific operation.
+   * @returns {Promise<number>} The new length of the list.
+   */
+  async append (name, field, items, opts) {
+    return this.manager.append(name, field, items, opts)
+  }
+
+  /**
+   * Gets the members of a room across all servers, without needing a room instance.
+   * Requires the presence option.
+   * @param {string} name - The name of the room.
+   * @returns {Promise<Array<{userId: string|number, serverId: string}>>}
+   */
+  async getMembers (name) {
+    return this.manager.getMembers(name)
+  }
+
+  /**
+   * Counts the members of a room across all servers, without needing a room instance.
+   * Requires the presence option.
+   * @param {string} name - The name of the room.
+   * @returns {Promise<number>}
+   */
+  async countMembers (name) {
+    return this.manager.countMembers(name)
+  }
+
+  /**
+   * Queries the history of a room kept in the 'stream' history mode, without needing a room instance.
+   * @param {string} name - The name of the room, can be a pattern.
+   * @param {object} [query] - `{ since, until, before, limit }`, see `RoomManager#getHistory`.
+   * @returns {Promise<Array<{id: string, timestamp: number, version: number, data: object, room: string}>>}
+   */
+  async getHistory (name, query) {
+    return this.manager.getHistory(name, query)
+  }
+
+  /**
+   * Deletes the history of a room in Redis, and the history loaded by its consumers on every server.
+   * @param {string} name - The name of the room, patterns are not allowed.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook.
+   * @returns {Promise<boolean>} Whether the room had a history.
+   */
+  async flushHistory (name, opts) {
+    return this.manager.flushHistory(name, opts)
+  }
+
+  /**
+   * Reads the stored full data, history and version of a room, whether or not it is loaded on this server.
+   * @param {string} name - The name of the room.
+   * @param {object} [opts]
+   * @param {string} [opts.historyMode='list'] - Which history to read, 'list' or 'stream'.
+   * @returns {Promise<{fullData: object, history: Array<{id: string|null, data: *}>, version: number}>}
+   */
+  async readRoom (name, opts) {
+    return this.manager.readRoom(name, opts)
+  }
+
+  /**
+   * Describes the rooms loaded on this server, see `Room#getInfo`.
+   * @returns {Array<object>}
+   */
+  listRooms () {
+    return this.manager.listRooms()
+  }
+
+  /**
+   * Destroys the instance of a room on this server, dropping its users without notifying them.
+   * The stored room and the other servers are not affected.
+   * @param {string} name - The name of the room, can be a pattern.
+   * @returns {Promise<boolean>} Whether the room was loaded.
+   */
+  async destroyRoom (name) {
+    return this.manager.destroyRoom(name)
+  }
+
+  /**
+   * Deletes the data, history and members of a room in Redis.
+   * Consumers on every server receive a 'close' update and start over on the next publish.
+   * @param {string} name - The name of the room, patterns are not allowed.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook.
+   * @returns {Promise<boolean>} Whether the room existed.
+   */
+  async deleteRoom (name, opts) {
+    return this.manager.deleteRoom(name, opts)
+  }
+
+  /**
+   * Closes a room for good without needing a room instance, see `Room#close`.
+   * @param {string} name - The name of the room, patterns are not allowed.
+   * @param {string} [reason='closed'] - Passed to the consumers as `meta.reason`.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook.
+   * @returns {Promise<boolean>} Whether the room was open.
+   */
+  async closeRoom (name, reason, opts) {
+    return this.manager.closeRoom(name, reason, opts)
+  }
+
+  /**
+   * Reopens a closed room, so that it can be published to again.
+   * @param {string} name - The name of the room, patterns are not allowed.
+   * @param {object} [opts] - Its `context` is passed to the canPublish hook.
+   * @returns {Promise<boolean>} Whether the room was closed.
+   */
+  async reopenRoom (name, opts) {
+    return this.manager.reopenRoom(name, opts)
   }
 
   /**
@@ -46,6 +323,60 @@ class RoomService {
     return this.manager.createRoom(name, finalOpts)
   }
 
+  /**
+   * Binds a room to a Pomelo channel pushing its updates to joined frontend sessions.
+   * A room has a single binding, which is destroyed along with the room.
+   * @param {string} name - The name of the room, can be a pattern.
+   * @param {string} route - The route the client listens on.
+   * @param {object} [opts] - See `RoomChannel`.
+   * @returns {RoomChannel}
+   */
+  bindToChannel (name, route, opts) {
+    const binding = this.channels.get(name)
+    if (binding) {
+      if (binding.route !== route) {
+        throw new Error(`Room ${name} is already bound to route ${binding.route}.`)
+      }
+      return binding
+    }
+
+    const room = this.manager.getRoom(name)
+    const newBinding = new RoomChannel(this, room, route, opts)
+    this.channels.set(name, newBinding)
+    return newBinding
+  }
+
+  /**
+   * Joins a frontend session to a room: the session gets the room's full data pushed on the route,
+   * then every update, until it leaves or is closed.
+   * @param {string} name - The name of the room, can be a pattern.
+   * @param {object} session - A Pomelo session or backend session, bound to a uid.
+   * @param {string} route - The route the client listens on.
+   * @param {object} [opts] - Channel options, see `RoomChannel`, and join options, see `RoomChannel#joinSession`.
+   * @returns {Promise<boolean>} Whether the session resumed from `opts.sinceVersion`.
+   */
+  async joinSession (name, session, route, opts) {
+    return this.bindToChannel(name, route, opts).joinSession(session, opts)
+  }
+
+  /**
+   * Makes a session leave a room joined with `joinSession`.
+   * @param {string} name - The name of the room.
+   * @param {object} session - A Pomelo session or backend session.
+   */
+  async leaveSession (name, session) {
+    const binding = this.channels.get(name)
+    if (binding) {
+      await binding.leaveSession(session)
+    }
+  }
+
+  _unbindChannel (binding) {
+    if (this.channels.get(binding.room.name) === binding) {
+      this.channels.delete(binding.room.name)
+    }
+  }
+
   /**
    * Gets a consumer room instance.
    * @param {string} name - The name of the room, can be a pattern.
@@ -0,0 +1,37 @@
+const { expect } = require('chai')
+const { describe, it } = require('mocha')
+const { createCodec, JsonCodec, MsgpackCodec } = require('../lib/codec')
+
+describe('Codecs', function () {
+  const values = [5, 0.5, true, false, null, 'text', '5', [1, 'two'], { nested: { deep: [true] } }]
+
+  it('should create the JSON codec by default', function () {
+    expect(createCodec()).to.be.an.instanceOf(JsonCodec)
+    expect(createCodec('msgpack')).to.be.an.instanceOf(MsgpackCodec)
+  })
+
+  it('should accept a custom codec object', function () {
+    const custom = { encode: String, decode: Number }
+    expect(createCodec(custom)).to.equal(custom)
+  })
+
+  it('should reject unknown codecs', function () {
+    expect(() => createCodec('xml')).to.throw('Unknown codec: xml.')
+    expect(() => createCodec({ encode: String })).to.throw('Unknown codec')
+  })
+
+  for (const name of ['json', 'msgpack']) {
+    it(`should preserve value types through the ${name} codec`, function () {
+      const codec = createCodec(name)
+      for (const value of values) {
+        const encoded = codec.encode(value)
+        expect(encoded).to.be.a('string')
+        expect(codec.decode(encoded)).to.deep.equal(value)
+      }
+    })
+  }
+
+  it('should decode raw strings written before the codec layer with the JSON codec', function () {
+    expect(createCodec('json').decode('gemini')).to.equal('gemini')
+  })
+})
@@ -0,0 +1,80 @@
+const { expect } = require('chai')
+const { describe, it, before, after } = require('mocha')
+const RoomService = require('../lib/service/roomService')
+
+// Measures how fast a loaded room applies and dispatches updates, without the transport,
+// for a large hash with many subscribers
+const FIELD_COUNT = 10000
+const SUBSCRIBER_COUNT = 100
+const UPDATE_COUNT = 200
+
+describe('Dispatch Benchmark', function () {
+  this.timeout(60000)
+
+  let roomService
+  let testCounter = 0
+  const mockApp = { set: () => {}, get: () => {} }
+
+  before(async () => {
+    roomService = new RoomService(mockApp, { adapter: 'memory' })
+    await roomService.start()
+  })
+
+  after(async () => {
+    await roomService.stop()
+  })
+
+  const createLargeRoom = async (opts) => {
+    const name = `test-bench:room-${testCounter++}`
+    const data = {}
+    for (let i = 0; i < FIELD_COUNT; i++) {
+      data[`field-${i}`] = { id: i, name: `player-${i}`, score: i * 10, tags: ['a', 'b'] }
+    }
+    await roomService.publish(name, data)
+
+    const room = roomService.getRoom(name, opts)
+    for (let i = 0; i < SUBSCRIBER_COUNT; i++) {
+      await room.join(`user-${i}`, (fullData, newData) => {
+        // A typical consumer reads a few keys
+        return fullData && fullData['field-0'] && newData
+      })
+    }
+    return room
+  }
+
+  // Feeds updates of single fields straight into the room, as if received on its channel
+  const measure = (room, updateCount) => {
+    const codec = roomService.manager.codec
+    const channel = room.keys.channelKey
+    let version = room.versions.get(channel)
+    const epoch = room.epochs.get(channel)
+    const start = process.hrtime.bigint()
+    for (let i = 0; i < updateCount; i++) {
+      const message = `${++version}:${epoch}:${codec.encode({ data: { [`field-${i % FIELD_COUNT}`]: { id: i, score: i } } })}`
+      room._applyMessage(message, channel, true)
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9
+    return updateCount / seconds
+  }
+
+  it(`should dispatch updates of a ${FIELD_COUNT}-field room to ${SUBSCRIBER_COUNT} subscribers`, async function () {
+    const snapshotRoom = await createLargeRoom()
+    const deltaRoom = await createLargeRoom({ deltaOnly: true })
+
+    // The previous implementation deep-cloned the full data once per update
+    const baselineRoom = await createLargeRoom({ deltaOnly: true })
+    baselineRoom.on('data', () => JSON.parse(JSON.stringify(baselineRoom.fullData)))
+
+    const baselineRate = measure(baselineRoom, Math.ceil(UPDATE_COUNT / 10))
+    const snapshotRate = measure(snapshotRoom, UPDATE_COUNT)
+    const deltaRate = measure(deltaRoom, UPDATE_COUNT)
+    console.log(`    Updates per second, ${FIELD_COUNT} fields, ${SUBSCRIBER_COUNT} subscribers:`)
+    console.log(`      deep clone (baseline)  ${Math.round(baselineRate)}`)
+    console.log(`      frozen snapshots       ${Math.round(snapshotRate)}`)
+    console.log(`      deltaOnly              ${Math.round(deltaRate)}`)
+
+    expect(snapshotRoom.getSnapshot()['field-1']).to.deep.equal({ id: 1, score: 1 })
+    expect(deltaRoom.getSnapshot()).to.deep.equal(snapshotRoom.getSnapshot())
+    expect(snapshotRate).to.be.above(baselineRate)
+  })
+})
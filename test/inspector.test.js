@@ -0,0 +1,107 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { describe, it, before, after, afterEach } = require('mocha')
+const RoomService = require('../lib/service/roomService')
+const { main } = require('../lib/cli/inspector')
+
+const ADAPTER = process.env.ROOM_TEST_ADAPTER || 'memory'
+const PREFIX = 'inspector-test'
+
+describe('Room Inspector CLI', function () {
+  this.timeout(10000)
+
+  let configFile
+  let roomService // A server sharing the inspector's storage
+
+  // Runs the inspector with the test config, collecting its output lines.
+  const run = async (...args) => {
+    const output = []
+    const errors = []
+    const code = await main([...args, '--config', configFile], { write: line => output.push(line), error: line => errors.push(line) })
+    return { code, output, errors }
+  }
+
+  before(async () => {
+    configFile = path.join(os.tmpdir(), `room-inspector-${process.pid}.json`)
+    fs.writeFileSync(configFile, JSON.stringify({ adapter: ADAPTER, redis: {}, prefix: PREFIX }))
+    roomService = new RoomService({}, { adapter: ADAPTER, redis: {}, prefix: PREFIX })
+    await roomService.start()
+  })
+
+  after(async () => {
+    await roomService.stop()
+    fs.unlinkSync(configFile)
+  })
+
+  afterEach(async () => {
+    const keys = await roomService.manager.adapter.scanKeys(`${PREFIX}:*`)
+    if (keys.length > 0) await roomService.manager.adapter.del(keys)
+  })
+
+  it('should publish to, list, show and delete rooms', async () => {
+    expect((await run('publish', 'match:1', '{"phase":"play","score":1}', '--history-length', '5')).output)
+      .to.deep.equal(['{"room":"match:1","version":1}'])
+    await roomService.publish('match:1', { score: 2 }, { historyLength: 5 })
+    await roomService.publish('lobby', { open: true })
+
+    expect((await run('list')).output).to.deep.equal(['lobby', 'match:1'])
+    expect((await run('list', 'match:*')).output).to.deep.equal(['match:1'])
+
+    const { code, output } = await run('show', 'match:1', '--limit', '1')
+    expect(code).to.equal(0)
+    expect(JSON.parse(output[0])).to.deep.equal({
+      room: 'match:1',
+      version: 2,
+      fullData: { phase: 'play', score: 2 },
+      history: [{ score: 2 }]
+    })
+
+    expect((await run('delete', 'match:1', '--yes')).output).to.deep.equal(['{"room":"match:1","deleted":true}'])
+    expect((await run('list')).output).to.deep.equal(['lobby'])
+  })
+
+  it('should print the updates of the rooms matching a pattern', async () => {
+    const tail = run('tail', 'match:*', '--count', '2')
+    // The tail subscribes in the background, publish until it printed two updates.
+    const tick = () => new Promise(resolve => setTimeout(resolve, 20, false))
+    for (let score = 1; !await Promise.race([tail.then(() => true), tick()]); score++) {
+      await roomService.publish(`match:${score}`, { score })
+    }
+
+    const { code, output } = await tail
+    expect(code).to.equal(0)
+    const updates = output.map(line => JSON.parse(line))
+    expect(updates).to.have.lengthOf(2)
+    for (const { room, type, version, data } of updates) {
+      expect(room).to.match(/^match:\d+$/)
+      expect({ type, version, data }).to.deep.equal({ type: 'data', version: 1, data: { score: Number(room.slice(6)) } })
+    }
+  })
+
+  it('should exit with an error when the tailed room cannot be loaded', async () => {
+    await roomService.publish('match:1', { score: 1 })
+
+    // The room is stored as JSON, decoding it as MessagePack fails.
+    const { code, output, errors } = await run('tail', 'match:1', '--codec', 'msgpack')
+    expect(code).to.equal(1)
+    expect(output).to.deep.equal([])
+    expect(errors[0]).to.match(/^Failed to initialize room inspector-test:match:1/)
+  })
+
+  it('should refuse invalid commands without touching the rooms', async () => {
+    await roomService.publish('match:1', { score: 1 })
+
+    const denied = await run('delete', 'match:1')
+    expect(denied.code).to.equal(2)
+    expect(denied.errors[0]).to.equal('Deleting room match:1 cannot be undone, pass --yes to confirm.')
+    expect((await run('list')).output).to.deep.equal(['match:1'])
+
+    expect((await run('publish', 'match:1', '{score')).errors[0]).to.match(/^The data to publish must be a JSON object/)
+    expect((await run('show')).errors[0]).to.equal('A room name is required.')
+    expect((await run('rename', 'match:1')).code).to.equal(2)
+    expect((await run('show', 'match:1', '--bogus')).code).to.equal(2)
+    expect((await run('--help')).code).to.equal(0)
+  })
+})
@@ -0,0 +1,69 @@
+const { expect } = require('chai')
+const { describe, it } = require('mocha')
+const { parsePointer, patchedFields, applyPatch, mergeOperations } = require('../lib/manager/jsonPatch')
+
+describe('JSON Patch', function () {
+  it('should parse and unescape JSON pointers', function () {
+    expect(parsePointer('/players/p1/hp')).to.deep.equal(['players', 'p1', 'hp'])
+    expect(parsePointer('/a~1b/c~0d/')).to.deep.equal(['a/b', 'c~d', ''])
+    expect(() => parsePointer('players')).to.throw('Invalid JSON pointer')
+  })
+
+  it('should list the fields read or written by a patch', function () {
+    expect(patchedFields([
+      { op: 'replace', path: '/players/p1/hp', value: 1 },
+      { op: 'move', from: '/bench/0', path: '/players/p2' },
+      { op: 'test', path: '/players', value: {} }
+    ])).to.deep.equal(['players', 'bench'])
+    expect(() => patchedFields([{ path: '/a' }])).to.throw('must be objects with an op')
+  })
+
+  it('should apply every operation', function () {
+    const document = { players: { p1: { hp: 100 } }, bench: ['p2', 'p3'], log: [] }
+    applyPatch(document, [
+      { op: 'replace', path: '/players/p1/hp', value: 50 },
+      { op: 'move', from: '/bench/0', path: '/players/p2' },
+      { op: 'copy', from: '/players/p1', path: '/players/p4' },
+      { op: 'add', path: '/log/-', value: 'start' },
+      { op: 'add', path: '/log/0', value: 'lobby' },
+      { op: 'remove', path: '/bench/0' },
+      { op: 'test', path: '/players/p1', value: { hp: 50 } }
+    ])
+    expect(document).to.deep.equal({
+      players: { p1: { hp: 50 }, p2: 'p2', p4: { hp: 50 } },
+      bench: [],
+      log: ['lobby', 'start']
+    })
+    expect(document.players.p4).to.not.equal(document.players.p1)
+  })
+
+  it('should reject failing operations', function () {
+    const document = { players: { p1: { hp: 100 } }, log: ['a'] }
+    expect(() => applyPatch(document, [{ op: 'test', path: '/players/p1/hp', value: 1 }])).to.throw('Patch test failed at /players/p1/hp')
+    expect(() => applyPatch(document, [{ op: 'remove', path: '/players/p9' }])).to.throw('does not exist')
+    expect(() => applyPatch(document, [{ op: 'add', path: '/missing/hp', value: 1 }])).to.throw('does not exist')
+    expect(() => applyPatch(document, [{ op: 'add', path: '/log/5', value: 'b' }])).to.throw('not a valid array index')
+    expect(() => applyPatch(document, [{ op: 'move', from: '/players', path: '/players/p1/x' }])).to.throw('into itself')
+    expect(() => applyPatch(document, [{ op: 'replace', path: '/log/0' }])).to.throw('requires a value')
+    expect(() => applyPatch(document, [{ op: 'increment', path: '/log' }])).to.throw('Unknown patch operation: increment.')
+  })
+
+  it('should turn a merge patch into operations', function () {
+    const document = { players: { p1: { hp: 100, mp: 5 }, p2: { hp: 80 } }, round: 1 }
+    const operations = mergeOperations(document, {
+      players: { p1: { hp: 50 }, p2: null, 'p/3': { hp: 100, shield: null } },
+      round: 2,
+      winner: null
+    })
+    expect(operations).to.deep.equal([
+      { op: 'add', path: '/players/p1/hp', value: 50 },
+      { op: 'remove', path: '/players/p2' },
+      { op: 'add', path: '/players/p~13', value: { hp: 100 } },
+      { op: 'add', path: '/round', value: 2 }
+    ])
+    expect(applyPatch(document, operations)).to.deep.equal({
+      players: { p1: { hp: 50, mp: 5 }, 'p/3': { hp: 100 } },
+      round: 2
+    })
+  })
+})
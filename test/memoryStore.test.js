@@ -0,0 +1,135 @@
+const { expect } = require('chai')
+const { describe, it, beforeEach } = require('mocha')
+const { MemoryStore, createAdapter, MemoryAdapter, RedisAdapter } = require('../lib/adapter')
+
+describe('Memory Store', function () {
+  let store
+
+  beforeEach(function () {
+    store = new MemoryStore()
+  })
+
+  it('should match keys with Redis glob patterns', function () {
+    for (const key of ['room:a:hash', 'room:b:hash', 'room:ab:list', 'room:[x]:hash']) {
+      store.set(key, '1')
+    }
+    expect(store.keys('room:*:hash')).to.deep.equal(['room:a:hash', 'room:b:hash', 'room:[x]:hash'])
+    expect(store.keys('room:?:hash')).to.deep.equal(['room:a:hash', 'room:b:hash'])
+    expect(store.keys('room:[ab]:hash')).to.deep.equal(['room:a:hash', 'room:b:hash'])
+    expect(store.keys('room:[^a]:hash')).to.deep.equal(['room:b:hash'])
+    expect(store.keys('room:\\[x\\]:hash')).to.deep.equal(['room:[x]:hash'])
+  })
+
+  it('should delete hashes and lists once they are empty', function () {
+    store.hSet('hash', ['a', '1'])
+    store.hDel('hash', ['a'])
+    store.lPush('list', 'x')
+    store.lTrim('list', 1, -1)
+    expect(store.exists('hash')).to.be.false
+    expect(store.exists('list')).to.be.false
+  })
+
+  it('should trim lists like LTRIM', function () {
+    for (const value of ['1', '2', '3', '4']) {
+      store.lPush('list', value)
+    }
+    store.lTrim('list', 0, 1)
+    expect(store.lRange('list', 0, -1)).to.deep.equal(['4', '3'])
+  })
+
+  it('should order sorted set members by score and delete empty sets', function () {
+    expect(store.zAdd('zset', 3, 'c')).to.equal(1)
+    expect(store.zAdd('zset', 1, 'b')).to.equal(1)
+    expect(store.zAdd('zset', 1, 'a')).to.equal(1)
+    expect(store.zAdd('zset', 2, 'c')).to.equal(0)
+
+    expect(store.zRange('zset', 0, -1)).to.deep.equal(['a', 'b', 'c'])
+    expect(store.zRangeByScore('zset', -Infinity, 1)).to.deep.equal(['a', 'b'])
+    expect(store.zRemRangeByScore('zset', -Infinity, 1)).to.equal(2)
+    expect(store.zCard('zset')).to.equal(1)
+    expect(store.zRem('zset', 'c')).to.equal(1)
+    expect(store.exists('zset')).to.be.false
+  })
+
+  it('should append stream entries with increasing ids and read them by range', function () {
+    const ids = []
+    for (let i = 1; i <= 4; i++) {
+      ids.push(store.xAdd('stream', ['n', i], 3))
+    }
+    expect(new Set(ids).size).to.equal(4)
+
+    const all = store.xRevRange('stream', '+', '-')
+    expect(all).to.deep.equal([[ids[3], ['n', '4']], [ids[2], ['n', '3']], [ids[1], ['n', '2']]])
+    expect(store.xRevRange('stream', `(${ids[3]}`, '-', 1)).to.deep.equal([[ids[2], ['n', '3']]])
+    expect(store.xRevRange('stream', '+', ids[2])).to.have.lengthOf(2)
+    expect(store.xRevRange('stream', '+', `(${ids[2]}`)).to.have.lengthOf(1)
+    expect(store.xRevRange('stream', ids[3].split('-')[0], '-')).to.have.lengthOf.at.least(1)
+  })
+
+  it('should expire keys like PEXPIRE, keeping the expiry across writes', async function () {
+    store.hSet('hash', ['a', '1'])
+    store.incrBy('counter', 1)
+    expect(store.pExpire('hash', 20)).to.equal(1)
+    expect(store.pExpire('counter', 20)).to.equal(1)
+    expect(store.pExpire('missing', 20)).to.equal(0)
+
+    store.hSet('hash', ['b', '2'])
+    store.incrBy('counter', 1)
+    expect(store.pTtl('hash')).to.be.within(1, 20)
+    store.set('counter', '5') // SET discards the expiry
+    expect(store.pTtl('counter')).to.equal(-1)
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    expect(store.exists('hash')).to.be.false
+    expect(store.hGetAll('hash')).to.deep.equal({})
+    expect(store.pTtl('hash')).to.equal(-2)
+    expect(store.get('counter')).to.equal('5')
+  })
+
+  it('should reject operations against a key of another type', function () {
+    store.set('key', '1')
+    expect(() => store.hSet('key', ['a', '1'])).to.throw('WRONGTYPE')
+  })
+
+  it('should deliver messages asynchronously in publish order to channel and pattern listeners', async function () {
+    const received = []
+    store.subscribe('room:a:channel', (message, channel) => received.push(['channel', message, channel]))
+    store.pSubscribe('room:*:channel', (message, channel) => received.push(['pattern', message, channel]))
+
+    expect(store.publish('room:a:channel', 'first')).to.equal(2)
+    expect(store.publish('room:b:channel', 'second')).to.equal(1)
+    expect(received).to.be.empty
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(received).to.deep.equal([
+      ['channel', 'first', 'room:a:channel'],
+      ['pattern', 'first', 'room:a:channel'],
+      ['pattern', 'second', 'room:b:channel']
+    ])
+  })
+
+  it('should deliver sharded messages to channel listeners only', async function () {
+    const received = []
+    store.subscribe('room:a:channel', message => received.push(['channel', message]))
+    store.pSubscribe('room:*:channel', message => received.push(['pattern', message]))
+
+    expect(store.sPublish('room:a:channel', 'first')).to.equal(1)
+    await new Promise(resolve => setImmediate(resolve))
+    expect(received).to.deep.equal([['channel', 'first']])
+  })
+
+  it('should create adapters from the plugin options', function () {
+    expect(createAdapter({})).to.be.an.instanceOf(RedisAdapter)
+    expect(createAdapter({ adapter: 'memory' })).to.be.an.instanceOf(MemoryAdapter)
+    expect(createAdapter({ adapter: 'memory', memory: { store } }).store).to.equal(store)
+    expect(() => createAdapter({ adapter: 'mongo' })).to.throw('Unknown adapter: mongo.')
+  })
+
+  it('should pick the Redis topology from the redis options', function () {
+    expect(createAdapter({ redis: {} }).topology).to.equal('standalone')
+    expect(createAdapter({ redis: { cluster: { rootNodes: [] } } }).topology).to.equal('cluster')
+    expect(createAdapter({ redis: { sentinel: { name: 'mymaster' } } }).topology).to.equal('sentinel')
+    expect(createAdapter({ redis: { shardedPubSub: true } }).shardedPubSub).to.equal(true)
+    expect(() => createAdapter({ redis: { cluster: {}, sentinel: {} } })).to.throw('mutually exclusive')
+  })
+})
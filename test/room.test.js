@@ -1,7 +1,12 @@
+const http = require('http')
 const { expect } = require('chai')
 const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
-const redis = require('redis')
 const RoomService = require('../lib/service/roomService')
+const roomComponent = require('../lib/components/roomComponent')
+const { AccessDeniedError, FieldConflictError, JoinDeniedError, PatternSubscriptionDeniedError, PublishDeniedError, SchemaValidationError } = require('..')
+
+// Tests run against the in-memory adapter by default; set ROOM_TEST_ADAPTER=redis to use a local Redis
+const ADAPTER = process.env.ROOM_TEST_ADAPTER || 'memory'
 
 // Parse concurrency level from command-line arguments
 const getConcurrencyLevel = () => {
@@ -11,34 +16,46 @@ const getConcurrencyLevel = () => {
 
 const CONCURRENCY_LEVEL = getConcurrencyLevel()
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Polls until the condition holds, failing after the given timeout
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition')
+    await sleep(20)
+  }
+}
+
 describe('Pomeloes Room Plugin Tests (Refactored)', function () {
   // Increase timeout for async tests, especially performance tests
   this.timeout(20000)
 
   let roomService
-  let redisClient // A separate Redis client for verification
+  let adapter // The service's storage adapter, used to verify stored data
   const mockApp = { set: () => {}, get: () => {} } // Simple mock for Pomelo App
 
+  // Creates an additional service sharing the same storage, e.g. to act as another server
+  const createService = (opts = {}) => new RoomService(mockApp, { adapter: ADAPTER, redis: {}, ...opts })
+
+  // Reads the raw stored hash, history list and version of a room
+  const readRoom = (name) => adapter.fetchSnapshot(roomService.manager._generateKeys(name))
+
   const ROOM_PREFIX = 'test-match'
   let testCounter = 0
 
   before(async () => {
     // Initialize RoomService with test-optimized settings
-    roomService = new RoomService(mockApp, {
-      redis: {}, // Use local default Redis config
+    roomService = createService({
       idleTimeout: 2, // 2-second idle timeout for fast testing
       checkInterval: 1 // 1-second check interval
     })
     await roomService.start()
-
-    // Initialize a separate Redis client to assert data in Redis
-    redisClient = redis.createClient()
-    await redisClient.connect()
+    adapter = roomService.manager.adapter
   })
 
   after(async () => {
     await roomService.stop()
-    await redisClient.disconnect()
   })
 
   // Before each test, generate a unique room name and store it in the test context
@@ -47,13 +64,13 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
     this.roomName = `${ROOM_PREFIX}:room-${testCounter++}`
   })
 
-  // After each test, automatically clean up Redis data created by that test
+  // After each test, automatically clean up stored data created by that test
   afterEach(async function () {
     if (this.roomName) {
       const keys = roomService.manager._generateKeys(this.roomName)
-      const keysToDelete = [keys.fullDataKey, keys.historyKey]
+      const keysToDelete = [keys.fullDataKey, keys.historyKey, keys.versionKey, keys.membersKey, keys.logKey, keys.streamKey, keys.metaKey, keys.closedKey]
       if (keysToDelete.length > 0) {
-        await redisClient.del(keysToDelete)
+        await adapter.del(keysToDelete)
       }
     }
   })
@@ -67,13 +84,13 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
       const data = { user: 'gemini', score: 100 }
       await room.publish(data)
 
-      // Verify with the separate Redis client
-      const keys = roomService.manager._generateKeys(this.roomName)
-      const hashData = await redisClient.hGetAll(keys.fullDataKey)
-      const listData = await redisClient.lRange(keys.historyKey, 0, -1)
+      // Verify the stored data
+      const { hash: hashData, list: listData } = await readRoom(this.roomName)
 
-      expect(hashData.user).to.equal('gemini')
-      expect(hashData.score).to.equal('100') // Primitive numbers are stored as strings
+      // Hash values are stored encoded by the codec (JSON by default), keeping their types
+      const codec = roomService.manager.codec
+      expect(codec.decode(hashData.user)).to.equal('gemini')
+      expect(codec.decode(hashData.score)).to.equal(100)
       expect(listData).to.have.lengthOf(1)
       expect(JSON.parse(listData[0])).to.deep.equal(data)
     })
@@ -85,12 +102,10 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
         historyLength: 5
       })
 
-      // Verify with the separate Redis client
-      const keys = roomService.manager._generateKeys(this.roomName)
-      const hashData = await redisClient.hGetAll(keys.fullDataKey)
-      const listData = await redisClient.lRange(keys.historyKey, 0, -1)
+      // Verify the stored data
+      const { hash: hashData, list: listData } = await readRoom(this.roomName)
 
-      expect(hashData.event).to.equal('start')
+      expect(roomService.manager.codec.decode(hashData.event)).to.equal('start')
       expect(listData).to.have.lengthOf(1)
     })
 
@@ -130,7 +145,7 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
       const fullData = await room.getFullData()
       const historyData = await room.getHistoryData()
 
-      expect(fullData).to.deep.equal({ p1: '1', p2: '2' })
+      expect(fullData).to.deep.equal({ p1: 1, p2: 2 })
       expect(historyData).to.have.lengthOf(2)
       expect(historyData[0]).to.deep.equal({ p2: 2 }) // List is LIFO
     })
@@ -168,18 +183,18 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
       const expectedFullData = {
         id: 'game-123',
         status: 'in-progress',
-        players: [ // This is now an object because of the fix
+        players: [
           { id: 'p1', name: 'Alice', score: 150 },
           { id: 'p2', name: 'Bob', score: 99 }
         ],
-        metadata: { // This is now an object because of the fix
+        metadata: {
           map: 'forest_glade',
           settings: {
             timeLimit: 300,
             friendlyFire: false
           }
         },
-        rounds: '3' // Primitive numbers are still stored as strings in Redis Hashes
+        rounds: 3
       }
       expect(fullData).to.deep.equal(expectedFullData)
 
@@ -188,6 +203,117 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
       expect(historyData[0]).to.deep.equal(complexData) // List stores the exact object
     })
 
+    it('should reject publishing data that is not an object', async function () {
+      try {
+        await roomService.publish(this.roomName, 'not-an-object')
+        expect.fail('Publishing a string should have been rejected.')
+      } catch (err) {
+        expect(err.message).to.equal('Publish data must be a non-null object.')
+      }
+    })
+
+    it('should apply concurrent publishes atomically and in version order', async function () {
+      const PUBLISH_COUNT = 50
+      const versions = await Promise.all(Array.from({ length: PUBLISH_COUNT }, (_, i) => {
+        return roomService.publish(this.roomName, { seq: i }, { historyLength: PUBLISH_COUNT })
+      }))
+
+      // Every publish got its own version
+      expect([...versions].sort((a, b) => a - b)).to.deep.equal(Array.from({ length: PUBLISH_COUNT }, (_, i) => i + 1))
+
+      // History order follows version order, and the hash holds the last versioned write
+      const { hash: hashData, list } = await readRoom(this.roomName)
+      const listData = list.map(item => JSON.parse(item))
+      const seqByVersion = new Map(versions.map((version, seq) => [version, seq]))
+      expect(listData.map(item => item.seq)).to.deep.equal(
+        Array.from({ length: PUBLISH_COUNT }, (_, i) => seqByVersion.get(PUBLISH_COUNT - i))
+      )
+      expect(roomService.manager.codec.decode(hashData.seq)).to.equal(listData[0].seq)
+    })
+
+    it('should remove fields from Redis and from every consumer', async function () {
+      const room = roomService.createRoom(this.roomName, { enableFullData: true, historyLength: 5 })
+      await room.publish({ p1: 'alice', p2: 'bob', phase: 'playing' })
+
+      const updates = []
+      await room.join('user1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData, newData, meta })
+      })
+
+      const version = await room.remove('p2')
+      await waitFor(() => updates.length === 2)
+
+      const { fullData, newData, meta } = updates[1]
+      expect(fullData).to.deep.equal({ p1: 'alice', phase: 'playing' })
+      expect(newData).to.deep.equal({})
+      expect(meta).to.deep.equal({ version, removed: ['p2'], room: this.roomName })
+
+      // The field is gone from storage, and the removal is not recorded as history
+      const { hash: hashData, list: listData } = await readRoom(this.roomName)
+      expect(hashData).to.not.have.property('p2')
+      expect(listData).to.have.lengthOf(1)
+      expect(await room.getHistoryData()).to.have.lengthOf(1)
+
+      // A consumer joining afterwards starts without the field as well
+      const freshService = createService()
+      await freshService.start()
+      try {
+        expect(await freshService.getRoom(this.roomName).getFullData()).to.deep.equal({ p1: 'alice', phase: 'playing' })
+      } finally {
+        await freshService.stop()
+      }
+    })
+
+    it('should write, read and remove more fields than a script can unpack at once', async function () {
+      const FIELD_COUNT = 10000
+      const data = {}
+      for (let i = 0; i < FIELD_COUNT; i++) {
+        data[`field-${i}`] = i
+      }
+      await roomService.publish(this.roomName, data)
+
+      // The merge reads every field it changes, then writes them all
+      const merged = {}
+      for (let i = 1; i < FIELD_COUNT; i++) {
+        merged[`field-${i}`] = -i
+      }
+      await roomService.merge(this.roomName, merged)
+      const { hash } = await readRoom(this.roomName)
+      expect(Object.keys(hash)).to.have.lengthOf(FIELD_COUNT)
+      expect(hash[`field-${FIELD_COUNT - 1}`]).to.equal(String(1 - FIELD_COUNT))
+
+      await roomService.remove(this.roomName, Object.keys(merged))
+      expect((await readRoom(this.roomName)).hash).to.deep.equal({ 'field-0': '0' })
+    })
+
+    it('should reject removing an empty field list', async function () {
+      try {
+        await roomService.remove(this.roomName, [])
+        expect.fail('Removing no fields should have been rejected.')
+      } catch (err) {
+        expect(err.message).to.equal('Remove fields must be a non-empty array of strings.')
+      }
+    })
+
+    it('should deliver identical value types on join and in live updates', async function () {
+      const room = roomService.createRoom(this.roomName, { enableFullData: true, historyLength: 5 })
+      const typedData = { count: 5, ready: true, label: '5', ratio: 0.5, tags: ['a'], nothing: 'null' }
+      await room.publish(typedData)
+
+      // Types survive the snapshot fetched on join
+      const snapshotUpdates = []
+      await room.join('user1', (fullData) => snapshotUpdates.push(fullData))
+      expect(snapshotUpdates[0]).to.deep.equal(typedData)
+      expect(await room.getHistoryData()).to.deep.equal([typedData])
+
+      // And the same types arrive in live updates
+      const liveUpdates = []
+      await room.join('user2', (fullData, newData) => { if (newData) liveUpdates.push(newData) })
+      await room.publish(typedData)
+      await waitFor(() => liveUpdates.length === 1)
+      expect(liveUpdates[0]).to.deep.equal(typedData)
+    })
+
     it('should retry initialization if the first attempt fails', async function () {
       const room = roomService.getRoom(this.roomName)
 
@@ -253,7 +379,7 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
         return new Promise((resolve, reject) => {
           room.join(`concurrent-user-${i}`, (fullData, newData) => {
             try {
-              expect(fullData).to.deep.equal({ round: '1' })
+              expect(fullData).to.deep.equal({ round: 1 })
               expect(newData).to.be.null
               resolve()
             } catch (err) {
@@ -268,10 +394,1399 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
     })
   })
 
-  describe('Idle Room Cleanup', () => {
-    // Helper function for this describe block to avoid repetition
-    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  describe('Events and Async Iteration', () => {
+    it('should emit data and delete events to listeners', async function () {
+      await roomService.publish(this.roomName, { a: 1, b: 2 })
+      const room = roomService.getRoom(this.roomName)
+      const updates = []
+      room.on('data', update => updates.push(update))
+      room.on('delete', update => updates.push(update))
+      expect(room._hasConsumers()).to.be.true
+      expect(await room.getFullData()).to.deep.equal({ a: 1, b: 2 })
+
+      await roomService.publish(this.roomName, { a: 3 })
+      await roomService.remove(this.roomName, 'b')
+      await waitFor(() => updates.length === 2)
+
+      expect(updates[0]).to.deep.include({ type: 'data', data: { a: 3 }, removed: [], fullData: { a: 3, b: 2 } })
+      expect(updates[1]).to.deep.include({ type: 'delete', data: null, removed: ['b'], fullData: { a: 3 } })
+      expect(updates[1].meta).to.include({ version: 3, room: this.roomName })
+    })
+
+    it('should emit listener and callback errors without skipping other listeners', async function () {
+      const room = roomService.getRoom(this.roomName)
+      const errors = []
+      const received = []
+      room.on('error', err => errors.push(err.message))
+      room.on('data', () => { throw new Error('sync failure') })
+      room.on('data', async () => { throw new Error('async failure') })
+      await room.join('user-1', async () => { throw new Error('callback failure') })
+      room.on('data', update => received.push(update.data))
+
+      await roomService.publish(this.roomName, { a: 1 })
+      await waitFor(() => errors.length === 4)
+
+      expect(errors.sort()).to.deep.equal(['async failure', 'callback failure', 'callback failure', 'sync failure'])
+      expect(received).to.deep.equal([{ a: 1 }])
+    })
+
+    it('should iterate over updates until the room is destroyed', async function () {
+      const room = roomService.getRoom(this.roomName)
+      const iterator = room.updates()
+      const received = []
+      const consuming = (async () => {
+        for await (const update of iterator) {
+          received.push(update.data)
+        }
+      })()
+
+      await room.getFullData()
+      await roomService.publish(this.roomName, { n: 1 })
+      await roomService.publish(this.roomName, { n: 2 })
+      await waitFor(() => received.length === 2)
+
+      await room.destroy()
+      await consuming
+      expect(received).to.deep.equal([{ n: 1 }, { n: 2 }])
+      expect(room._hasConsumers()).to.be.false
+    })
+
+    it('should stop listening when breaking out of the iteration', async function () {
+      const room = roomService.getRoom(this.roomName)
+      const iterator = room.updates()
+      await room.getFullData()
+      await roomService.publish(this.roomName, { n: 1 })
+
+      const received = []
+      for await (const update of iterator) {
+        received.push(update.data)
+        if (received.length === 1) break
+      }
+      expect(received).to.deep.equal([{ n: 1 }])
+      expect(room._hasConsumers()).to.be.false
+    })
+
+    it('should bound the buffer of a slow consumer', async function () {
+      const room = roomService.getRoom(this.roomName)
+      const dropping = room.updates({ bufferSize: 2 })
+      const failing = room.updates({ bufferSize: 2, overflow: 'error' })
+      await room.getFullData()
+
+      for (let n = 1; n <= 3; n++) {
+        await roomService.publish(this.roomName, { n })
+      }
+      await waitFor(() => dropping.buffer.length === 2 && failing.done)
+
+      expect((await dropping.next()).value.data).to.deep.equal({ n: 2 })
+      expect((await dropping.next()).value.data).to.deep.equal({ n: 3 })
+      try {
+        await failing.next()
+        throw new Error('The overflowed iteration should have failed.')
+      } catch (err) {
+        expect(err.message).to.include('overflowed')
+      }
+      await dropping.return()
+      expect(() => room.updates({ overflow: 'block' })).to.throw('Unknown overflow strategy: block.')
+    })
+  })
+
+  describe('Snapshots', () => {
+    it('should share frozen snapshots and unchanged values between updates', async function () {
+      await roomService.publish(this.roomName, { big: { list: [1, 2, 3] }, small: 1 })
+      const room = roomService.getRoom(this.roomName)
+      const snapshots = []
+      room.on('data', ({ fullData }) => snapshots.push(fullData))
+      room.on('data', ({ fullData }) => snapshots.push(fullData))
+      const initial = await room.getFullData()
+
+      await roomService.publish(this.roomName, { small: 2 })
+      await waitFor(() => snapshots.length === 2)
+
+      expect(snapshots[0]).to.equal(snapshots[1]) // One snapshot for all consumers
+      expect(snapshots[0]).to.deep.equal({ big: { list: [1, 2, 3] }, small: 2 })
+      expect(snapshots[0].big).to.equal(initial.big) // Unchanged values are not copied
+      expect(initial.small).to.equal(1) // Earlier snapshots don't change
+      expect(Object.isFrozen(snapshots[0])).to.be.true
+      expect(() => { snapshots[0].big.list.push(4) }).to.throw(TypeError)
+    })
+
+    it('should deliver only the changed data to deltaOnly rooms', async function () {
+      await roomService.publish(this.roomName, { a: 1 })
+      const room = roomService.getRoom(this.roomName, { deltaOnly: true })
+      const calls = []
+      await room.join('user-1', (fullData, newData) => calls.push({ fullData, newData }))
+
+      await roomService.publish(this.roomName, { b: 2 })
+      await waitFor(() => calls.length === 2)
+
+      expect(calls[0].fullData).to.deep.equal({ a: 1 }) // The initial call still gets the full data
+      expect(calls[1]).to.deep.equal({ fullData: null, newData: { b: 2 } })
+      expect(room.getSnapshot()).to.deep.equal({ a: 1, b: 2 })
+      expect(room.getSnapshot()).to.equal(room.getSnapshot())
+    })
+  })
+
+  describe('Coalescing', () => {
+    it('should coalesce the updates of a throttled room and deliver the final state', async function () {
+      await roomService.publish(this.roomName, { a: 0, b: 0 })
+      const room = roomService.getRoom(this.roomName, { throttle: 200 })
+      const updates = []
+      room.on('data', update => updates.push(update))
+      room.on('delete', update => updates.push(update))
+      await room.getFullData()
+
+      await roomService.publish(this.roomName, { a: 1 }) // Delivered at once
+      await waitFor(() => updates.length === 1)
+      await roomService.publish(this.roomName, { a: 2, c: 1 })
+      await roomService.remove(this.roomName, 'b')
+      await roomService.publish(this.roomName, { a: 3 })
+      await waitFor(() => updates.length === 2)
+      await sleep(300)
+
+      expect(updates).to.have.lengthOf(2)
+      expect(updates[0].data).to.deep.equal({ a: 1 })
+      expect(updates[1].type).to.equal('data')
+      expect(updates[1].data).to.deep.equal({ a: 3, c: 1 })
+      expect(updates[1].removed).to.deep.equal(['b'])
+      expect(updates[1].meta).to.include({ version: 5, coalesced: 3, room: this.roomName })
+      expect(updates[1].fullData).to.deep.equal({ a: 3, c: 1 })
+    })
+
+    it('should coalesce the updates of a single join', async function () {
+      const room = roomService.getRoom(this.roomName)
+      const throttled = []
+      const immediate = []
+      await room.join('user-1', (fullData, newData, extraData, meta) => throttled.push({ fullData, newData, meta }), null, { maxRate: 5 })
+      await room.join('user-2', (fullData, newData) => immediate.push(newData))
+
+      for (let i = 1; i <= 4; i++) {
+        await roomService.publish(this.roomName, { n: i, [`k${i}`]: true })
+      }
+      await waitFor(() => throttled.length === 3)
+      await sleep(300)
+
+      expect(immediate).to.have.lengthOf(5)
+      expect(throttled).to.have.lengthOf(3) // The initial call, the first update and the rest
+      expect(throttled[2].newData).to.deep.equal({ n: 4, k2: true, k3: true, k4: true })
+      expect(throttled[2].meta.coalesced).to.equal(3)
+      expect(throttled[2].fullData).to.deep.equal({ n: 4, k1: true, k2: true, k3: true, k4: true })
+
+      // Nothing is delivered once the user left
+      await roomService.publish(this.roomName, { n: 5 })
+      await roomService.publish(this.roomName, { n: 6 })
+      await room.leave('user-1')
+      await sleep(300)
+      expect(throttled).to.have.lengthOf(4)
+    })
+  })
+
+  describe('Versioned Resume', () => {
+    it('should replay only the updates missed since the given version', async function () {
+      const producer = roomService.createRoom(this.roomName, { resumeLength: 10 })
+      await producer.publish({ a: 1, b: 1 })
+      const room = roomService.getRoom(this.roomName)
+      let lastVersion
+      await room.join('user-1', () => { lastVersion = room.getVersion() })
+      expect(lastVersion).to.equal(1)
+      await room.leave('user-1')
+
+      await producer.publish({ a: 2 })
+      await producer.remove('b')
+      await waitFor(() => room.getVersion() === 3)
+
+      const calls = []
+      const resumed = await room.join('user-1', (fullData, newData, extraData, meta) => calls.push({ fullData, newData, meta }), null, { sinceVersion: lastVersion })
+      expect(resumed).to.be.true
+      expect(calls).to.deep.equal([
+        { fullData: null, newData: { a: 2 }, meta: { version: 2, removed: [], room: this.roomName, replayed: true } },
+        { fullData: null, newData: {}, meta: { version: 3, removed: ['b'], room: this.roomName, replayed: true } }
+      ])
+
+      // Live updates follow the replayed ones
+      await producer.publish({ a: 3 })
+      await waitFor(() => calls.length === 3)
+      expect(calls[2].meta.version).to.equal(4)
+
+      // Nothing is replayed when nothing was missed
+      const upToDate = []
+      expect(await room.join('user-2', (...args) => upToDate.push(args), null, { sinceVersion: 4 })).to.be.true
+      expect(upToDate).to.be.empty
+    })
+
+    it('should fall back to the full data when the missed updates are no longer logged', async function () {
+      const producer = roomService.createRoom(this.roomName, { resumeLength: 2 })
+      for (let i = 1; i <= 4; i++) {
+        await producer.publish({ n: i })
+      }
+      const room = roomService.getRoom(this.roomName)
+      const calls = []
+      const onData = (fullData, newData, extraData, meta) => calls.push({ fullData, newData, meta })
+
+      expect(await room.join('user-1', onData, null, { sinceVersion: 1 })).to.be.false
+      expect(calls).to.deep.equal([{ fullData: { n: 4 }, newData: null, meta: undefined }])
+
+      // A version beyond the room's means the room was deleted and recreated meanwhile
+      expect(await room.join('user-1', onData, null, { sinceVersion: 9 })).to.be.false
+      expect(await room.join('user-1', onData, null, { sinceVersion: 2 })).to.be.true
+      expect(calls.slice(2).map(call => call.newData)).to.deep.equal([{ n: 3 }, { n: 4 }])
+    })
+
+    it('should fall back to the full data when the room was deleted since the given version', async function () {
+      const producer = roomService.createRoom(this.roomName, { resumeLength: 10 })
+      for (let i = 1; i <= 5; i++) {
+        await producer.publish({ a: i, b: i })
+      }
+      const room = roomService.getRoom(this.roomName)
+      let since
+      await room.join('user-1', () => { since = { sinceVersion: room.getVersion(), sinceEpoch: room.getEpoch() } })
+      expect(since.sinceVersion).to.equal(5)
+      await room.leave('user-1')
+
+      await roomService.deleteRoom(this.roomName)
+      for (let i = 1; i <= 7; i++) {
+        await roomService.publish(this.roomName, { b: i }, { resumeLength: 10 })
+      }
+      await waitFor(() => room.getVersion() === 7)
+      expect(room.getEpoch()).to.not.equal(since.sinceEpoch)
+
+      const calls = []
+      const onData = (fullData, newData, extraData, meta) => calls.push({ fullData, newData, meta })
+      expect(await room.join('user-1', onData, null, since)).to.be.false
+      expect(calls).to.deep.equal([{ fullData: { b: 7 }, newData: null, meta: undefined }])
+
+      // The new epoch resumes as usual
+      expect(await room.join('user-1', onData, null, { sinceVersion: 6, sinceEpoch: room.getEpoch() })).to.be.true
+      expect(calls.slice(1).map(call => call.newData)).to.deep.equal([{ b: 7 }])
+    })
+  })
+
+  describe('Stream History', () => {
+    const STREAM_OPTS = { historyMode: 'stream', historyLength: 3 }
+
+    it('should keep a capped stream history and page through it by entry id', async function () {
+      const producer = roomService.createRoom(this.roomName, STREAM_OPTS)
+      for (let i = 1; i <= 4; i++) {
+        await producer.publish({ n: i })
+      }
+      await producer.remove('n') // Removals are not recorded in the history
+
+      const history = await producer.getHistory()
+      expect(history.map(entry => entry.data)).to.deep.equal([{ n: 4 }, { n: 3 }, { n: 2 }])
+      expect(history.map(entry => entry.version)).to.deep.equal([4, 3, 2])
+      expect(history[0]).to.include({ room: this.roomName })
+      expect(history[0].id).to.match(/^\d+-\d+$/)
+      expect(history[0].timestamp).to.be.closeTo(Date.now(), 5000)
+
+      const firstPage = await producer.getHistory({ limit: 2 })
+      const secondPage = await producer.getHistory({ limit: 2, before: firstPage[1].id })
+      expect(firstPage.concat(secondPage)).to.deep.equal(history)
+
+      const consumer = roomService.getRoom(this.roomName, STREAM_OPTS)
+      expect(await consumer.getHistoryData()).to.deep.equal([{ n: 4 }, { n: 3 }, { n: 2 }])
+    })
+
+    it('should query the history by time range', async function () {
+      await roomService.publish(this.roomName, { n: 1 }, STREAM_OPTS)
+      await sleep(20)
+      const since = Date.now()
+      await roomService.publish(this.roomName, { n: 2 }, STREAM_OPTS)
+      await sleep(20)
+      const until = new Date()
+      await sleep(20)
+      await roomService.publish(this.roomName, { n: 3 }, STREAM_OPTS)
+
+      const history = await roomService.getHistory(this.roomName, { since, until })
+      expect(history.map(entry => entry.data)).to.deep.equal([{ n: 2 }])
+    })
+
+    it('should require the stream history mode to query the history', async function () {
+      const room = roomService.getRoom(this.roomName, { historyLength: 3 })
+      try {
+        await room.getHistory()
+        throw new Error('Querying the history should have failed but it did not.')
+      } catch (err) {
+        expect(err.message).to.include("'stream' history mode")
+      }
+      expect(() => roomService.getRoom(`${this.roomName}:other`, { historyMode: 'set' })).to.throw('Unknown history mode: set')
+    })
+  })
+
+  describe('Expiry and Deletion', () => {
+    it('should expire the keys of a room not updated within its ttl', async function () {
+      const producer = roomService.createRoom(this.roomName, { ttl: 0.3, historyLength: 5 })
+      await producer.publish({ a: 1 })
+
+      const consumer = roomService.getRoom(this.roomName, { historyLength: 5 })
+      const updates = []
+      await consumer.join('user-1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData, meta })
+      })
+
+      await sleep(200)
+      await producer.publish({ b: 2 }) // Refreshes the expiry
+      await sleep(200)
+      expect((await readRoom(this.roomName)).hash).to.have.all.keys('a', 'b')
+
+      await sleep(300)
+      const { hash, list } = await readRoom(this.roomName)
+      expect(hash).to.deep.equal({})
+      expect(list).to.deep.equal([])
+
+      // The next publish starts over, and consumers drop the expired data
+      await producer.publish({ c: 3 })
+      await waitFor(() => updates.length === 3)
+      expect(updates[2].fullData).to.deep.equal({ c: 3 })
+      expect(updates[2].meta).to.include({ version: 1, reset: true })
+      expect(updates[2].meta.removed).to.have.members(['a', 'b'])
+    })
+
+    it('should start over a room that expired after a single update', async function () {
+      await roomService.publish(this.roomName, { x: 1 }, { ttl: 0.2 })
+      const consumer = roomService.getRoom(this.roomName)
+      const updates = []
+      await consumer.join('user-1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData, meta })
+      })
+
+      // Version 1 again, but of a new room
+      await sleep(400)
+      await roomService.publish(this.roomName, { y: 2 }, { ttl: 0.2 })
+      await waitFor(() => updates.length === 2)
+      expect(updates[1].fullData).to.deep.equal({ y: 2 })
+      expect(updates[1].meta).to.include({ version: 1, reset: true })
+      expect(updates[1].meta.removed).to.deep.equal(['x'])
+      expect(await consumer.getFullData()).to.deep.equal({ y: 2 })
+    })
+
+    it('should delete a room and notify its consumers', async function () {
+      await roomService.publish(this.roomName, { a: 1 }, { historyLength: 5 })
+      const consumer = roomService.getRoom(this.roomName, { historyLength: 5 })
+      const updates = []
+      await consumer.join('user-1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData, newData, meta })
+      })
+
+      expect(await roomService.deleteRoom(this.roomName)).to.be.true
+      await waitFor(() => updates.length === 2)
+      expect(updates[1].fullData).to.deep.equal({})
+      expect(updates[1].meta).to.deep.equal({ room: this.roomName, reason: 'deleted', removed: ['a'] })
+      expect((await readRoom(this.roomName)).hash).to.deep.equal({})
+      expect(await roomService.deleteRoom(this.roomName)).to.be.false
+
+      await roomService.publish(this.roomName, { b: 2 })
+      await waitFor(() => updates.length === 3)
+      expect(updates[2].fullData).to.deep.equal({ b: 2 })
+      expect(updates[2].meta).to.include({ version: 1 })
+
+      try {
+        await roomService.deleteRoom(`${ROOM_PREFIX}:*`)
+        throw new Error('Deleting a pattern should have failed but it did not.')
+      } catch (err) {
+        expect(err.message).to.include('Pattern name (*) is not allowed')
+      }
+    })
+
+    it('should sweep the rooms not updated within the retention', async function () {
+      const service = createService({ retention: 0.2 })
+      await service.start()
+      try {
+        const staleRoom = `${this.roomName}:stale`
+        const activeRoom = `${this.roomName}:active`
+        await service.publish(staleRoom, { a: 1 })
+        await sleep(300)
+        await service.publish(activeRoom, { a: 1 })
+
+        const deletedRooms = await service.manager._sweepExpiredRooms()
+        expect(deletedRooms).to.include(staleRoom)
+        expect(deletedRooms).to.not.include(activeRoom)
+        expect((await readRoom(staleRoom)).hash).to.deep.equal({})
+        expect((await readRoom(activeRoom)).hash).to.have.all.keys('a')
+        await service.deleteRoom(activeRoom)
+      } finally {
+        await service.stop()
+      }
+    })
+  })
+
+  describe('Field Operations', () => {
+    it('should increment a field atomically across servers', async function () {
+      const otherService = createService()
+      await otherService.start()
+      try {
+        const consumer = roomService.getRoom(this.roomName)
+        const values = []
+        await consumer.join('user-1', (fullData, newData) => {
+          if (newData) values.push(newData.kills)
+        })
+
+        const producers = [roomService.createRoom(this.roomName), otherService.createRoom(this.roomName)]
+        const results = await Promise.all(Array.from({ length: 20 }, (_, i) => producers[i % 2].incr('kills')))
+        expect(results.slice().sort((a, b) => a - b)).to.deep.equal(Array.from({ length: 20 }, (_, i) => i + 1))
+
+        await waitFor(() => values.length === 20)
+        expect(values).to.deep.equal(Array.from({ length: 20 }, (_, i) => i + 1))
+        expect(await consumer.getFullData()).to.deep.equal({ kills: 20 })
+
+        expect(await roomService.incr(this.roomName, 'kills', -5)).to.equal(15)
+        expect(await roomService.incrFloat(this.roomName, 'pot', 0.5)).to.equal(0.5)
+        expect(await roomService.incrFloat(this.roomName, 'pot', 1.25)).to.equal(1.75)
+      } finally {
+        await otherService.stop()
+      }
+    })
+
+    it('should add floats like HINCRBYFLOAT with any codec', async function () {
+      const msgpackService = createService({ codec: 'msgpack' })
+      await msgpackService.start()
+      try {
+        // Redis prints the sum with 17 decimals, so 0.1 + 0.2 is 0.3 and not 0.30000000000000004
+        for (const [service, name] of [[roomService, this.roomName], [msgpackService, `${this.roomName}:msgpack`]]) {
+          expect(await service.incrFloat(name, 'odds', 0.1)).to.equal(0.1)
+          expect(await service.incrFloat(name, 'odds', 0.2)).to.equal(0.3)
+          expect(await service.incrFloat(name, 'odds', -1e-7)).to.equal(0.2999999)
+          await service.deleteRoom(name)
+        }
+      } finally {
+        await msgpackService.stop()
+      }
+    })
+
+    it('should give up on a field change after the maximum attempts', async function () {
+      const service = createService({ maxFieldAttempts: 1 })
+      await service.start()
+      try {
+        // Both read that the field does not exist, the one written second finds it changed
+        const results = await Promise.allSettled(['alice', 'bob'].map(owner =>
+          service.compareAndSet(this.roomName, 'owner', undefined, owner)))
+        expect(results[0]).to.deep.equal({ status: 'fulfilled', value: true })
+        const err = results[1].reason
+        expect(err).to.be.an.instanceOf(FieldConflictError)
+        expect(err).to.include({ code: 'ROOM_FIELD_CONFLICT', room: this.roomName, attempts: 1 })
+        expect(err.fields).to.deep.equal(['owner'])
+        expect((await service.readRoom(this.roomName)).fullData).to.deep.equal({ owner: 'alice' })
+      } finally {
+        await service.stop()
+      }
+    })
+
+    it('should set fields conditionally and append to list fields', async function () {
+      const producer = roomService.createRoom(this.roomName, { historyLength: 5 })
+      expect(await producer.setIfAbsent('owner', 'alice')).to.be.true
+      expect(await producer.setIfAbsent('owner', 'bob')).to.be.false
+
+      expect(await producer.compareAndSet('state', undefined, { phase: 'lobby' })).to.be.true
+      expect(await producer.compareAndSet('state', { phase: 'play' }, { phase: 'end' })).to.be.false
+      expect(await producer.compareAndSet('state', { phase: 'lobby' }, { phase: 'play' })).to.be.true
+
+      expect(await producer.append('log', ['joined'])).to.equal(1)
+      expect(await producer.append('log', ['ready', 'go'])).to.equal(3)
+
+      expect(await producer.getFullData()).to.deep.equal({ owner: 'alice', state: { phase: 'play' }, log: ['joined', 'ready', 'go'] })
+      expect((await producer.getHistoryData())[0]).to.deep.equal({ log: ['joined', 'ready', 'go'] })
+
+      const failures = [
+        [() => producer.incr('owner'), 'does not hold an integer'],
+        [() => producer.incr('count', 1.5), 'Increment must be an integer'],
+        [() => producer.append('owner', ['x']), 'does not hold a list'],
+        [() => producer.setIfAbsent('other', null), 'must not be null or undefined'],
+        [() => roomService.getRoom(`${this.roomName}:consumer`).incr('count'), 'not a producer']
+      ]
+      for (const [operation, message] of failures) {
+        try {
+          await operation()
+          throw new Error('The operation should have failed but it did not.')
+        } catch (err) {
+          expect(err.message).to.include(message)
+        }
+      }
+    })
+
+    it('should apply every one of many concurrent operations on a field', async function () {
+      const producer = roomService.createRoom(this.roomName, { historyLength: 5 })
+      const counts = await Promise.all(Array.from({ length: 100 }, () => producer.incr('votes')))
+      expect(counts.slice().sort((a, b) => a - b)).to.deep.equal(Array.from({ length: 100 }, (_, i) => i + 1))
+      await Promise.all(Array.from({ length: 40 }, () => producer.incrFloat('pot', 0.25)))
+      const lengths = await Promise.all(Array.from({ length: 50 }, (_, i) => producer.append('log', [i])))
+      expect(lengths.slice().sort((a, b) => a - b)).to.deep.equal(Array.from({ length: 50 }, (_, i) => i + 1))
+
+      const { fullData: { votes, pot, log }, history } = await roomService.readRoom(this.roomName)
+      expect({ votes, pot }).to.deep.equal({ votes: 100, pot: 10 })
+      expect(log.slice().sort((a, b) => a - b)).to.deep.equal(Array.from({ length: 50 }, (_, i) => i))
+      expect(history[0].data).to.deep.equal({ log })
+
+      // Values validated by a schema are computed before they are written, concurrently as well
+      roomService.registerSchema(this.roomName, { properties: { votes: { type: 'integer', maximum: 1000 } } })
+      try {
+        await Promise.all(Array.from({ length: 50 }, () => producer.incr('votes')))
+        expect((await roomService.readRoom(this.roomName)).fullData.votes).to.equal(150)
+      } finally {
+        roomService.unregisterSchema(this.roomName)
+      }
+    })
+  })
+
+  describe('Nested Updates', () => {
+    const PLAYERS = { p1: { hp: 100, items: ['sword'] }, p2: { hp: 80 } }
+
+    it('should patch nested values and pass the patch to consumers', async function () {
+      await roomService.publish(this.roomName, { players: PLAYERS, round: 1 })
+      const consumer = roomService.getRoom(this.roomName)
+      const updates = []
+      await consumer.join('user-1', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push({ fullData, newData, meta })
+      })
+
+      const operations = [
+        { op: 'replace', path: '/players/p1/hp', value: 50 },
+        { op: 'add', path: '/players/p1/items/-', value: 'shield' },
+        { op: 'remove', path: '/round' }
+      ]
+      expect(await roomService.patch(this.roomName, operations)).to.equal(2)
+      await waitFor(() => updates.length === 1)
+
+      const players = { p1: { hp: 50, items: ['sword', 'shield'] }, p2: { hp: 80 } }
+      expect(updates[0].newData).to.deep.equal({ players })
+      expect(updates[0].fullData).to.deep.equal({ players })
+      expect(updates[0].meta).to.include({ version: 2 })
+      expect(updates[0].meta.removed).to.deep.equal(['round'])
+      expect(updates[0].meta.patch).to.deep.equal(operations)
+
+      // A failing operation leaves the room unchanged
+      try {
+        await roomService.patch(this.roomName, [
+          { op: 'replace', path: '/players/p2/hp', value: 0 },
+          { op: 'test', path: '/players/p1/hp', value: 100 }
+        ])
+        throw new Error('The patch should have failed but it did not.')
+      } catch (err) {
+        expect(err.message).to.include('Patch test failed at /players/p1/hp')
+      }
+      expect(await roomService.patch(this.roomName, [{ op: 'test', path: '/players/p2/hp', value: 80 }])).to.be.null
+      expect(await consumer.getFullData()).to.deep.equal({ players })
+    })
+
+    it('should deep merge nested values', async function () {
+      const producer = roomService.createRoom(this.roomName)
+      await producer.publish({ players: PLAYERS })
+      const consumer = roomService.getRoom(this.roomName)
+      const updates = []
+      await consumer.join('user-1', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push({ fullData, meta })
+      })
+
+      await producer.merge({ players: { p1: { hp: 90 }, p2: null }, round: 2 })
+      await waitFor(() => updates.length === 1)
+      expect(updates[0].fullData).to.deep.equal({ players: { p1: { hp: 90, items: ['sword'] } }, round: 2 })
+      expect(updates[0].meta.patch).to.deep.equal([
+        { op: 'add', path: '/players/p1/hp', value: 90 },
+        { op: 'remove', path: '/players/p2' },
+        { op: 'add', path: '/round', value: 2 }
+      ])
+      expect(await producer.merge({ round: 2 })).to.be.null
+    })
+
+    it('should apply every one of many concurrent merges and patches', async function () {
+      const producer = roomService.createRoom(this.roomName)
+      await producer.publish({ players: {} })
+      await Promise.all(Array.from({ length: 60 }, (_, i) => i % 2
+        ? producer.merge({ players: { [`p${i}`]: { hp: i } } })
+        : producer.patch([{ op: 'add', path: `/players/p${i}`, value: { hp: i } }])))
+
+      const players = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [`p${i}`, { hp: i }]))
+      expect((await roomService.readRoom(this.roomName)).fullData).to.deep.equal({ players })
+    })
+
+    it('should tell a patch that kept conflicting from a failed one', async function () {
+      const service = createService({ maxFieldAttempts: 1 })
+      await service.start()
+      try {
+        await service.publish(this.roomName, { players: PLAYERS })
+        // Both read the same players, the one written second finds them changed and has no attempt left
+        const results = await Promise.allSettled([
+          service.merge(this.roomName, { players: { p1: { hp: 1 } } }),
+          service.patch(this.roomName, [{ op: 'replace', path: '/players/p1/hp', value: 2 }])
+        ])
+        expect(results.map(({ status }) => status)).to.deep.equal(['fulfilled', 'rejected'])
+        expect(results[1].reason).to.be.an.instanceOf(FieldConflictError)
+        expect(results[1].reason.fields).to.deep.equal(['players'])
+
+        const failed = await service.patch(this.roomName, [{ op: 'test', path: '/players/p1/hp', value: 2 }]).catch(err => err)
+        expect(failed).to.not.be.an.instanceOf(FieldConflictError)
+        expect(failed.message).to.include('Patch test failed at /players/p1/hp')
+      } finally {
+        await service.stop()
+      }
+    })
+  })
+
+  describe('Projection', () => {
+    it('should only show and call back for the selected fields', async function () {
+      await roomService.publish(this.roomName, { score: 0, phase: 'lobby', cards: ['A'], chat: 'hi' })
+      const room = roomService.getRoom(this.roomName)
+      const whitelisted = []
+      await room.join('user-1', (fullData, newData, extraData, meta) => {
+        whitelisted.push({ fullData, newData, removed: meta && meta.removed })
+      }, null, { fields: ['score', 'phase'] })
+      const blacklisted = []
+      await room.join('user-2', (fullData, newData) => blacklisted.push({ fullData, newData }), null, { omitFields: ['cards'] })
+
+      await roomService.publish(this.roomName, { cards: ['A', 'K'] })
+      await roomService.publish(this.roomName, { score: 1, cards: ['A'] })
+      await roomService.remove(this.roomName, ['phase', 'cards'])
+      await roomService.publish(this.roomName, { chat: 'gg' })
+      await waitFor(() => blacklisted.length === 4)
+      await sleep(50)
+
+      expect(whitelisted).to.deep.equal([
+        { fullData: { score: 0, phase: 'lobby' }, newData: null, removed: undefined },
+        { fullData: { score: 1, phase: 'lobby' }, newData: { score: 1 }, removed: [] },
+        { fullData: { score: 1 }, newData: {}, removed: ['phase'] }
+      ])
+      expect(blacklisted.map(call => call.newData)).to.deep.equal([null, { score: 1 }, {}, { chat: 'gg' }])
+      expect(blacklisted[3].fullData).to.deep.equal({ score: 1, chat: 'gg' })
+    })
+
+    it('should transform and filter the updates of each user', async function () {
+      await roomService.publish(this.roomName, { hands: { north: ['A'], south: ['K'] }, turn: 'north' })
+      const room = roomService.getRoom(this.roomName)
+      // Each player only sees their own hand, and is only called back on their turn
+      const showOwnHand = (data, seat) => data.hands ? { ...data, hands: { [seat]: data.hands[seat] } } : data
+      const calls = []
+      await room.join('user-1', (fullData, newData) => calls.push({ fullData, newData }), 'south', {
+        transform: showOwnHand,
+        filter: (update, seat) => update.fullData.turn === seat
+      })
+      expect(calls[0].fullData).to.deep.equal({ hands: { south: ['K'] }, turn: 'north' })
+
+      await roomService.publish(this.roomName, { hands: { north: [], south: ['K'] } })
+      await roomService.publish(this.roomName, { turn: 'south' })
+      await waitFor(() => calls.length === 2)
+      await sleep(50)
+      expect(calls).to.have.lengthOf(2)
+      expect(calls[1].fullData).to.deep.equal({ hands: { south: ['K'] }, turn: 'south' })
+      expect(calls[1].newData).to.deep.equal({ turn: 'south' })
+    })
+
+    it('should watch fields until stopped', async function () {
+      await roomService.publish(this.roomName, { score: 0, phase: 'lobby' })
+      const room = roomService.getRoom(this.roomName)
+      const updates = []
+      const unwatch = room.watch(['score'], update => updates.push(update))
+
+      await waitFor(() => room.isInitialized)
+      await roomService.publish(this.roomName, { phase: 'play' })
+      await roomService.publish(this.roomName, { score: 1 })
+      await waitFor(() => updates.length === 1)
+      expect(updates[0]).to.include({ type: 'data' })
+      expect(updates[0].data).to.deep.equal({ score: 1 })
+      expect(updates[0].fullData).to.deep.equal({ score: 1 })
+
+      unwatch()
+      expect(room._hasConsumers()).to.be.false
+      await roomService.publish(this.roomName, { score: 2 })
+      await sleep(50)
+      expect(updates).to.have.lengthOf(1)
+      expect(() => room.watch('score', () => {})).to.throw('must be an array of field names')
+    })
+  })
+
+  describe('Authorization', () => {
+    let securedService
+    const calls = []
+
+    before(async () => {
+      securedService = createService({
+        // Users may only join their own match, and only the match server may update it
+        canJoin: async (userId, roomName, extraData) => {
+          calls.push(['canJoin', userId, roomName, extraData])
+          return roomName.endsWith(`-${userId}`)
+        },
+        canPublish: (roomName, data, context) => {
+          calls.push(['canPublish', roomName, data, context])
+          return context.server === 'match'
+        },
+        canSubscribePattern: (pattern, userId) => userId === 'admin'
+      })
+      await securedService.start()
+    })
+
+    after(async () => {
+      await securedService.stop()
+    })
+
+    beforeEach(function () {
+      calls.length = 0
+      this.roomName = `${this.roomName}-42`
+    })
+
+    it('should allow and deny joins', async function () {
+      const room = securedService.getRoom(this.roomName)
+      await room.join(42, () => {}, { seat: 1 })
+      expect(calls).to.deep.equal([['canJoin', 42, this.roomName, { seat: 1 }]])
+
+      const err = await room.join(7, () => {}).catch(err => err)
+      expect(err).to.be.an.instanceof(JoinDeniedError)
+      expect(err).to.be.an.instanceof(AccessDeniedError)
+      expect(err).to.include({ code: 'ROOM_ACCESS_DENIED', action: 'join', room: this.roomName, userId: 7 })
+      expect(room.callbacks.has(7)).to.be.false
+
+      const pattern = securedService.getRoom(`${ROOM_PREFIX}:*`)
+      await pattern.join('admin', () => {})
+      const patternErr = await pattern.join(42, () => {}).catch(err => err)
+      expect(patternErr).to.be.an.instanceof(PatternSubscriptionDeniedError)
+      expect(patternErr).to.include({ action: 'subscribePattern', room: `${ROOM_PREFIX}:*` })
+      await pattern.destroy()
+    })
+
+    it('should allow and deny updates', async function () {
+      const producer = securedService.createRoom(this.roomName, { enablePublish: true, context: { server: 'match' } })
+      expect(await producer.publish({ score: 1 })).to.equal(1)
+      expect(await producer.incr('score')).to.equal(2)
+      expect(calls).to.deep.equal([
+        ['canPublish', this.roomName, { score: 1 }, { server: 'match', operation: 'publish', fields: ['score'] }],
+        ['canPublish', this.roomName, null, { server: 'match', operation: 'incr', fields: ['score'] }]
+      ])
+
+      const denied = [
+        securedService.publish(this.roomName, { score: 0 }),
+        securedService.remove(this.roomName, 'score', { context: { server: 'lobby' } }),
+        securedService.merge(this.roomName, { players: { p1: null } }),
+        producer.append('log', ['cheat'], { context: { server: 'lobby' } })
+      ]
+      const results = await Promise.allSettled(denied)
+      for (const { reason } of results) {
+        expect(reason).to.be.an.instanceof(PublishDeniedError)
+        expect(reason.action).to.equal('publish')
+      }
+      expect(results.map(({ reason }) => reason.operation)).to.deep.equal(['publish', 'remove', 'merge', 'append'])
+      expect(await securedService.getRoom(this.roomName).getFullData()).to.deep.equal({ score: 2 })
+    })
+
+    it('should allow and deny deleting, flushing, closing and reopening rooms', async function () {
+      const match = { context: { server: 'match' } }
+      const lobby = { context: { server: 'lobby' } }
+      await securedService.publish(this.roomName, { score: 1 }, { ...match, historyLength: 5 })
+
+      const denied = [
+        securedService.flushHistory(this.roomName),
+        securedService.deleteRoom(this.roomName, lobby),
+        securedService.closeRoom(this.roomName, 'over', lobby),
+        securedService.createRoom(this.roomName, lobby).close('over')
+      ]
+      const results = await Promise.allSettled(denied)
+      for (const { reason } of results) {
+        expect(reason).to.be.an.instanceof(PublishDeniedError)
+      }
+      expect(results.map(({ reason }) => reason.operation)).to.deep.equal(['flushHistory', 'delete', 'close', 'close'])
+      const { fullData, history } = await securedService.readRoom(this.roomName)
+      expect({ fullData, history: history.map(entry => entry.data) }).to.deep.equal({ fullData: { score: 1 }, history: [{ score: 1 }] })
+
+      calls.length = 0
+      expect(await securedService.flushHistory(this.roomName, match)).to.be.true
+      expect(await securedService.closeRoom(this.roomName, 'over', match)).to.be.true
+      const reopenErr = await securedService.reopenRoom(this.roomName).catch(err => err)
+      expect(reopenErr).to.be.an.instanceof(PublishDeniedError)
+      expect(reopenErr.operation).to.equal('reopen')
+      expect(await securedService.reopenRoom(this.roomName, match)).to.be.true
+      expect(await securedService.deleteRoom(this.roomName, match)).to.be.true
+      expect(calls.map(([, roomName, data, context]) => [roomName, data, context.operation, context.fields])).to.deep.equal([
+        [this.roomName, null, 'flushHistory', []],
+        [this.roomName, null, 'close', []],
+        [this.roomName, null, 'reopen', []],
+        [this.roomName, null, 'reopen', []],
+        [this.roomName, null, 'delete', []]
+      ])
+    })
+
+    it('should pass errors thrown by the hooks on', async function () {
+      const service = createService({
+        canPublish: () => { throw new Error('Auth service unavailable') }
+      })
+      await service.start()
+      try {
+        const err = await service.publish(this.roomName, { score: 1 }).catch(err => err)
+        expect(err.message).to.equal('Auth service unavailable')
+        expect(() => createService({ canJoin: true })).to.throw('The canJoin option must be a function.')
+      } finally {
+        await service.stop()
+      }
+    })
+  })
+
+  describe('Schema Validation', () => {
+    const schema = {
+      properties: {
+        phase: { enum: ['lobby', 'play'] },
+        score: { type: 'integer', maximum: 10 },
+        players: { type: 'object', additionalProperties: { type: 'object', properties: { hp: { type: 'number', minimum: 0 } } } }
+      },
+      required: ['phase'],
+      additionalProperties: false
+    }
+
+    it('should reject updates not matching the schema of the room', async function () {
+      roomService.registerSchema(`${this.roomName}*`, schema)
+      try {
+        await roomService.publish(this.roomName, { phase: 'lobby', score: 9, players: { p1: { hp: 10 } } })
+
+        const rejected = [
+          roomService.publish(this.roomName, { phase: 'over', chat: 'hi', score: null }),
+          roomService.remove(this.roomName, ['phase', 'score']),
+          roomService.incr(this.roomName, 'score', 2),
+          roomService.patch(this.roomName, [{ op: 'replace', path: '/players/p1/hp', value: -5 }])
+        ]
+        const errors = (await Promise.allSettled(rejected)).map(({ reason }) => reason)
+        for (const err of errors) {
+          expect(err).to.be.an.instanceof(SchemaValidationError)
+          expect(err).to.include({ code: 'ROOM_SCHEMA_INVALID', room: this.roomName })
+        }
+        expect(errors.map(err => err.errors)).to.deep.equal([
+          [{ path: '/phase', message: 'must be one of "lobby", "play"' }, { path: '/chat', message: 'is not allowed' }],
+          [{ path: '/phase', message: 'is required and cannot be removed' }],
+          [{ path: '/score', message: 'must be <= 10' }],
+          [{ path: '/players/p1/hp', message: 'must be >= 0' }]
+        ])
+        expect(errors[2].message).to.equal(`Invalid update of room ${this.roomName}: /score must be <= 10.`)
+        expect(await roomService.incr(this.roomName, 'score')).to.equal(10)
+        expect((await readRoom(this.roomName)).version).to.equal('2')
+      } finally {
+        roomService.unregisterSchema(`${this.roomName}*`)
+      }
+    })
+
+    it('should drop the invalid fields received from other servers', async function () {
+      const consumerService = createService({ schemas: { [this.roomName]: schema }, validateReceived: true })
+      await consumerService.start()
+      try {
+        await roomService.publish(this.roomName, { phase: 'lobby', score: 99 })
+        const room = consumerService.getRoom(this.roomName)
+        const errors = []
+        room.on('error', err => errors.push(err))
+        const calls = []
+        await room.join('user-1', (fullData, newData, extraData, meta) => calls.push({ fullData, newData, meta }))
+        expect(calls[0].fullData).to.deep.equal({ phase: 'lobby' })
+
+        await roomService.publish(this.roomName, { phase: 'play', score: 'lots' })
+        await roomService.publish(this.roomName, { chat: 'spam' })
+        // An invalid nested value drops its whole field
+        await roomService.merge(this.roomName, { players: { p1: { hp: -1 } } })
+        await roomService.publish(this.roomName, { score: 5 })
+        await waitFor(() => calls.length === 3)
+        await sleep(50)
+
+        expect(calls.map(call => call.newData)).to.deep.equal([null, { phase: 'play' }, { score: 5 }])
+        expect(calls[2].fullData).to.deep.equal({ phase: 'play', score: 5 })
+        expect(errors.map(err => err.errors[0].path)).to.deep.equal(['/score', '/score', '/chat', '/players/p1/hp'])
+        expect(errors[0]).to.be.an.instanceof(SchemaValidationError)
+        expect(room.getVersion()).to.equal(5)
+      } finally {
+        await consumerService.stop()
+      }
+    })
+  })
+
+  describe('Metrics', () => {
+    // Fetches a path of the service's metrics server
+    const fetchMetrics = (service, path) => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: service.metricsServer.address().port, path }, res => {
+        let body = ''
+        res.on('data', chunk => { body += chunk })
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }))
+      }).on('error', reject)
+    })
+
+    it('should count the rooms, users and traffic of the server', async function () {
+      const service = createService({ serverId: 'metrics-server' })
+      await service.start()
+      try {
+        const producer = service.createRoom(this.roomName, { enablePublish: true })
+        await producer.publish({ score: 0 })
+        const room = service.getRoom(`${this.roomName}-consumer`)
+        room.on('error', () => {})
+        await room.join('user-1', () => {})
+        await room.join('user-2', (fullData, newData) => {
+          if (newData) throw new Error('Callback failed')
+        })
+        await producer.join('user-3', () => {})
+        await producer.publish({ score: 1 })
+        await producer.incr('score')
+        await waitFor(() => service.getStats().counters.updatesDispatched === 2)
+
+        const stats = service.getStats()
+        expect(stats.serverId).to.equal('metrics-server')
+        expect(stats.rooms).to.deep.equal({ total: 2, initialized: 2, producers: 1, patterns: 0 })
+        expect(stats.users).to.equal(3)
+        expect(stats.perRoom).to.deep.include({ name: this.roomName, users: 1, initialized: true, version: 3 })
+        expect(stats.counters).to.include({ publishes: 3, messagesReceived: 2, updatesDispatched: 2, roomsCreated: 2, initFailures: 0 })
+        expect(stats.publishRate).to.equal(3 / 60)
+        expect(stats.latencies.initialization.count).to.equal(2)
+        expect(stats.latencies.redis.count).to.equal(stats.counters.redisCommands).and.to.be.above(4)
+
+        await service.publish(`${this.roomName}-consumer`, { score: 1 })
+        await waitFor(() => service.getStats().counters.callbackErrors === 1)
+        await service.deleteRoom(`${this.roomName}-consumer`)
+      } finally {
+        await service.stop()
+      }
+    })
+
+    it('should export the stats in the Prometheus format', async function () {
+      const service = createService({ serverId: 'metrics-server', metricsPort: 0, metricsHost: '127.0.0.1' })
+      await service.start()
+      try {
+        await service.getRoom(this.roomName).join('user-1', () => {})
+        await service.publish(this.roomName, { score: 1 })
+
+        const { status, type, body } = await fetchMetrics(service, '/metrics')
+        expect(status).to.equal(200)
+        expect(type).to.match(/^text\/plain; version=0\.0\.4/)
+        expect(body).to.include('# TYPE pomelo_room_rooms gauge\n')
+        expect(body).to.include('pomelo_room_rooms{server="metrics-server",state="initialized"} 1\n')
+        expect(body).to.include(`pomelo_room_room_users{server="metrics-server",room="${this.roomName}"} 1\n`)
+        expect(body).to.include('# TYPE pomelo_room_publishes_total counter\npomelo_room_publishes_total{server="metrics-server"} 1\n')
+        expect(body).to.include('pomelo_room_initialization_seconds_bucket{server="metrics-server",le="+Inf"} 1\n')
+        expect(body).to.include('pomelo_room_redis_seconds_count{server="metrics-server"}')
+        expect((await fetchMetrics(service, '/other')).status).to.equal(404)
+
+        expect(service.getPrometheusMetrics({ prefix: 'game', perRoom: false })).to.include('game_users{server="metrics-server"} 1\n')
+          .and.not.include('game_room_users')
+      } finally {
+        await service.stop()
+      }
+      expect(service.metricsServer).to.be.null
+    })
+
+    it('should stop again and report the error when the metrics port is in use', async function () {
+      const blocker = http.createServer()
+      await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve))
+      const opts = { adapter: ADAPTER, redis: {}, metricsPort: blocker.address().port, metricsHost: '127.0.0.1' }
+      try {
+        const service = createService(opts)
+        const err = await service.start().catch(err => err)
+        expect(err.code).to.equal('EADDRINUSE')
+        expect(service.metricsServer).to.be.null
+        expect(service.manager.checkIntervalId).to.be.null
+
+        const component = roomComponent(mockApp, opts)
+        const componentErr = await new Promise(resolve => component.start(resolve))
+        expect(componentErr.code).to.equal('EADDRINUSE')
+        expect(component.roomService.manager.checkIntervalId).to.be.null
+      } finally {
+        await new Promise(resolve => blocker.close(resolve))
+      }
+    })
+  })
+
+  describe('Closing', () => {
+    it('should close a room on every server and reject publishes until it is reopened', async function () {
+      const otherService = createService()
+      await otherService.start()
+      try {
+        const producer = roomService.createRoom(this.roomName)
+        await producer.publish({ a: 1 })
+
+        const localUpdates = []
+        await producer.join('user-1', (fullData, newData, extraData, meta) => localUpdates.push({ fullData, newData, meta }))
+        const remoteRoom = otherService.getRoom(this.roomName)
+        const remoteUpdates = []
+        await remoteRoom.join('user-2', (fullData, newData, extraData, meta) => remoteUpdates.push({ fullData, meta }))
+
+        await producer.publish({ a: 2 })
+        expect(await producer.close('match over')).to.be.true
+
+        // The closing server delivers the updates published before the close first
+        expect(localUpdates.map(update => update.newData)).to.deep.equal([null, { a: 2 }, null])
+        expect(localUpdates[2].fullData).to.deep.equal({ a: 2 })
+        expect(localUpdates[2].meta).to.deep.equal({ room: this.roomName, reason: 'match over', removed: [], final: true })
+        expect(producer.callbacks.size).to.equal(0)
+        expect(roomService.manager.rooms.has(this.roomName)).to.be.false
+
+        await waitFor(() => remoteUpdates.length === 3)
+        expect(remoteUpdates[2].meta).to.include({ reason: 'match over', final: true })
+        await waitFor(() => !otherService.manager.rooms.has(this.roomName))
+        expect(remoteRoom.callbacks.size).to.equal(0)
+
+        try {
+          await roomService.publish(this.roomName, { a: 3 })
+          throw new Error('Publishing to a closed room should have failed but it did not.')
+        } catch (err) {
+          expect(err.message).to.include('is closed')
+        }
+        expect(await roomService.closeRoom(this.roomName)).to.be.false
+        expect((await readRoom(this.roomName)).hash).to.have.all.keys('a')
+
+        expect(await roomService.reopenRoom(this.roomName)).to.be.true
+        expect(await roomService.reopenRoom(this.roomName)).to.be.false
+        expect(await roomService.publish(this.roomName, { a: 3 })).to.equal(3)
+      } finally {
+        await otherService.stop()
+      }
+    })
+
+    it('should close a room without a subscribed instance', async function () {
+      const producer = roomService.createRoom(this.roomName)
+      await producer.publish({ a: 1 })
+      expect(await producer.close()).to.be.true
+      expect(roomService.manager.rooms.has(this.roomName)).to.be.false
+
+      const consumer = roomService.getRoom(this.roomName)
+      expect(consumer).to.not.equal(producer)
+      expect(await consumer.getFullData()).to.deep.equal({ a: 1 }) // The data is kept
+      await consumer.destroy()
+    })
+
+    it('should end the room on its own when the close message does not come back', async function () {
+      const producer = roomService.createRoom(this.roomName, { closeTimeout: 0.1 })
+      await producer.publish({ a: 1 })
+      const updates = []
+      await producer.join('user-1', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push(meta)
+      })
+
+      // Lose the subscription as a reconnecting client would, so the close message is missed
+      await producer._unsubscribe()
+      expect(await producer.close('over')).to.be.true
+      expect(updates).to.deep.equal([{ room: this.roomName, reason: 'over', removed: [], final: true }])
+      expect(producer.callbacks.size).to.equal(0)
+      expect(roomService.manager.rooms.get(this.roomName)).to.not.equal(producer)
+    })
+
+    it('should keep a room closed after its keys expired by ttl', async function () {
+      const producer = roomService.createRoom(this.roomName, { ttl: 0.2 })
+      await producer.publish({ a: 1 })
+      expect(await producer.close()).to.be.true
+
+      await sleep(300)
+      expect((await readRoom(this.roomName)).hash).to.deep.equal({})
+      try {
+        await roomService.publish(this.roomName, { a: 2 }, { ttl: 0.2 })
+        throw new Error('Publishing to a closed room should have failed but it did not.')
+      } catch (err) {
+        expect(err.message).to.include('is closed')
+      }
+
+      expect(await roomService.reopenRoom(this.roomName)).to.be.true
+      expect(await roomService.publish(this.roomName, { a: 2 }, { ttl: 0.2 })).to.equal(1)
+
+      // Deleting the room drops the closed state as well
+      expect(await roomService.closeRoom(this.roomName)).to.be.true
+      expect(await roomService.deleteRoom(this.roomName)).to.be.true
+      expect(await roomService.publish(this.roomName, { a: 3 })).to.equal(1)
+    })
+  })
+
+  describe('Codecs', () => {
+    const typedData = { count: 5, ready: true, label: '5', nested: { list: [1, 'two'] } }
+
+    for (const codec of ['msgpack', {
+      // A custom codec storing every value as reversed JSON text
+      encode: (value) => JSON.stringify(value).split('').reverse().join(''),
+      decode: (text) => JSON.parse(text.split('').reverse().join(''))
+    }]) {
+      const codecName = typeof codec === 'string' ? codec : 'custom'
+
+      it(`should round-trip typed data through the ${codecName} codec`, async function () {
+        const service = createService({ codec })
+        await service.start()
+        try {
+          const room = service.createRoom(this.roomName, { enableFullData: true, historyLength: 5 })
+          await room.publish(typedData)
+
+          const updates = []
+          await room.join('user1', (fullData, newData) => updates.push({ fullData: structuredClone(fullData), newData }))
+          await room.publish({ count: 6 })
+          await waitFor(() => updates.length === 2)
+
+          expect(updates[0].fullData).to.deep.equal(typedData)
+          expect(updates[1].newData).to.deep.equal({ count: 6 })
+          expect(updates[1].fullData).to.deep.equal({ ...typedData, count: 6 })
+          expect(await room.getHistoryData()).to.deep.equal([{ count: 6 }, typedData])
+
+          // Stored values are written by the configured codec
+          const { hash: hashData } = await readRoom(this.roomName)
+          expect(service.manager.codec.decode(hashData.nested)).to.deep.equal(typedData.nested)
+        } finally {
+          await service.stop()
+        }
+      })
+    }
+  })
+
+  describe('Join Consistency', () => {
+    it('should converge every consumer joining while updates are being published', async function () {
+      const producer = roomService.createRoom(this.roomName, { enableFullData: true })
+
+      // Each consumer service holds its own Room instance, so each one runs its own initialization
+      const consumerServices = []
+      for (let i = 0; i < 4; i++) {
+        const service = createService()
+        await service.start()
+        consumerServices.push(service)
+      }
+
+      // Hammer the room with updates until all consumers have joined
+      const publisher = { running: true }
+      const publishLoop = (async () => {
+        for (let i = 0; publisher.running; i++) {
+          await producer.publish({ [`field-${i % 20}`]: `value-${i}` })
+        }
+      })()
+
+      const latestFullData = new Map()
+      const joinPromises = []
+      consumerServices.forEach((service, s) => {
+        const room = service.getRoom(this.roomName)
+        for (let u = 0; u < CONCURRENCY_LEVEL; u++) {
+          const userId = `consistency-user-${s}-${u}`
+          joinPromises.push(sleep(u * 5).then(() => room.join(userId, (fullData) => {
+            latestFullData.set(userId, fullData)
+          })))
+        }
+      })
+
+      try {
+        await Promise.all(joinPromises)
+        publisher.running = false
+        await publishLoop
+
+        // A final marker update tells us when every consumer has caught up
+        await producer.publish({ marker: 'done' })
+        await waitFor(() => Array.from(latestFullData.values()).every(fullData => fullData.marker === 'done'))
+
+        const hashData = {}
+        for (const [field, value] of Object.entries((await readRoom(this.roomName)).hash)) {
+          hashData[field] = roomService.manager.codec.decode(value)
+        }
+        expect(latestFullData.size).to.equal(consumerServices.length * CONCURRENCY_LEVEL)
+        for (const fullData of latestFullData.values()) {
+          expect(fullData).to.deep.equal(hashData)
+        }
+      } finally {
+        publisher.running = false
+        await publishLoop
+        for (const service of consumerServices) {
+          await service.stop()
+        }
+      }
+    })
+  })
+
+  describe('Reconnect Resync', () => {
+    it('should resubscribe and resync joined users after the sub client reconnects', async function () {
+      // Dropping connections needs a real Redis server
+      if (ADAPTER !== 'redis') this.skip()
+
+      const room = roomService.getRoom(this.roomName)
+      await roomService.publish(this.roomName, { state: 'waiting' })
+
+      const updates = []
+      await room.join('user1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData: structuredClone(fullData), newData, meta })
+      })
+
+      // Drop the pub/sub connections and publish while the sub client is away
+      await adapter.client.sendCommand(['CLIENT', 'KILL', 'TYPE', 'pubsub'])
+      await roomService.publish(this.roomName, { state: 'missed' })
+
+      await waitFor(() => updates.some(({ meta }) => meta?.resync))
+      const resync = updates.find(({ meta }) => meta?.resync)
+      expect(resync.newData).to.be.null
+      expect(resync.fullData).to.deep.equal({ state: 'missed' })
+
+      // Live updates keep flowing over the restored subscription
+      await roomService.publish(this.roomName, { state: 'live' })
+      await waitFor(() => updates.some(({ newData }) => newData?.state === 'live'))
+      expect(await room.getFullData()).to.deep.equal({ state: 'live' })
+    })
+
+    it('should resync joined users when the adapter reports a reconnect', async function () {
+      const room = roomService.getRoom(this.roomName)
+      await roomService.publish(this.roomName, { state: 'waiting' })
+
+      const updates = []
+      await room.join('user1', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData: structuredClone(fullData), newData, meta })
+      })
+
+      // Lose the subscription as a dropped connection would, and publish meanwhile
+      await room._unsubscribe()
+      await roomService.publish(this.roomName, { state: 'missed' })
+      await new Promise(resolve => setTimeout(resolve, 50))
+      expect(updates).to.have.lengthOf(1)
+
+      adapter.emit('reconnect')
+      await waitFor(() => updates.length === 2)
+      expect(updates[1].newData).to.be.null
+      expect(updates[1].fullData).to.deep.equal({ state: 'missed' })
+      expect(updates[1].meta).to.include({ resync: true })
+
+      await roomService.publish(this.roomName, { state: 'live' })
+      await waitFor(() => updates.length === 3)
+      expect(updates[2].newData).to.deep.equal({ state: 'live' })
+    })
+
+    it('should write its logs to the logger option', async function () {
+      const lines = []
+      const logger = {
+        info: (...args) => lines.push(['info', ...args]),
+        error: (...args) => lines.push(['error', ...args])
+      }
+      const service = createService({ logger })
+      await service.start()
+      try {
+        await service.getRoom(this.roomName).join('user1', () => {})
+        service.manager.adapter.emit('reconnect')
+        await waitFor(() => lines.some(([level, line]) => level === 'info' && line.includes('resyncing')))
+      } finally {
+        await service.stop()
+      }
+    })
+  })
+
+  describe('Hash Tags', () => {
+    let taggedService
+
+    before(async () => {
+      taggedService = createService({ hashTags: true })
+      await taggedService.start()
+    })
+
+    after(async () => {
+      const keys = await adapter.scanKeys(`${roomService.manager.globalPrefix}:{${ROOM_PREFIX}:*`)
+      if (keys.length > 0) await adapter.del(keys)
+      await taggedService.stop()
+    })
+
+    it('should wrap the room name in a hash tag in every key', function () {
+      expect(taggedService.manager._generateKeys('lobby')).to.deep.equal({
+        fullDataKey: 'room:{lobby}:hash',
+        historyKey: 'room:{lobby}:list',
+        versionKey: 'room:{lobby}:version',
+        membersKey: 'room:{lobby}:members',
+        logKey: 'room:{lobby}:log',
+        streamKey: 'room:{lobby}:stream',
+        metaKey: 'room:{lobby}:meta',
+        closedKey: 'room:{lobby}:closed',
+        channelKey: 'room:{lobby}:channel'
+      })
+      expect(taggedService.manager._parseRoomName('room:{lobby}:channel')).to.equal('lobby')
+      expect(taggedService.manager._parseRoomName('room:{lobby}')).to.equal('lobby')
+    })
+
+    it('should report untagged room names to pattern room consumers', async function () {
+      const roomName = `${this.roomName}:a`
+      await taggedService.publish(roomName, { score: 1 }, { historyLength: 5 })
+
+      const patternRoom = taggedService.getRoom(`${this.roomName}:*`, { historyLength: 5 })
+      const updates = []
+      await patternRoom.join('tagged-user', (fullData, newData, extraData, meta) => {
+        updates.push({ fullData, meta })
+      })
+      expect(updates[0].fullData).to.deep.equal({ [roomName]: { score: 1 } })
+
+      await taggedService.publish(roomName, { score: 2 })
+      await waitFor(() => updates.length === 2)
+      expect(updates[1].meta).to.include({ room: roomName })
+      expect(updates[1].fullData).to.deep.equal({ [roomName]: { score: 2 } })
+    })
+  })
 
+  describe('Presence', () => {
+    let serverA
+    let serverB
+
+    before(async () => {
+      serverA = createService({ presence: true, serverId: 'server-a', presenceInterval: 0.1 })
+      serverB = createService({ presence: true, serverId: 'server-b', presenceInterval: 0.1 })
+      await Promise.all([serverA.start(), serverB.start()])
+    })
+
+    after(async () => {
+      await Promise.all([serverA.stop(), serverB.stop()])
+    })
+
+    it('should track members joined on every server', async function () {
+      const roomA = serverA.getRoom(this.roomName)
+      const roomB = serverB.getRoom(this.roomName)
+      await roomA.join(1, () => {})
+      await roomB.join('user-2', () => {})
+
+      const members = await roomA.getMembers()
+      expect(members).to.have.deep.members([
+        { userId: 1, serverId: 'server-a' },
+        { userId: 'user-2', serverId: 'server-b' }
+      ])
+      expect(await serverB.countMembers(this.roomName)).to.equal(2)
+
+      await roomA.leave(1)
+      expect(await roomB.getMembers()).to.deep.equal([{ userId: 'user-2', serverId: 'server-b' }])
+    })
+
+    it('should announce joins and leaves to the consumers on other servers', async function () {
+      const events = []
+      const roomB = serverB.getRoom(this.roomName)
+      roomB.on('presence', event => events.push(event))
+      await roomB.getFullData()
+
+      const roomA = serverA.getRoom(this.roomName)
+      await roomA.join('user-1', () => {})
+      await roomA.join('user-1', () => {}) // Joining again is not a new member
+      await roomA.leave('user-1')
+      await waitFor(() => events.length === 2)
+
+      const member = { userId: 'user-1', serverId: 'server-a', room: this.roomName }
+      expect(events).to.deep.equal([
+        { type: 'join', ...member, expired: false },
+        { type: 'leave', ...member, expired: false }
+      ])
+    })
+
+    it('should expire the members of a crashed server', async function () {
+      // The crashed server never sends a heartbeat
+      const crashed = createService({ presence: true, serverId: 'server-c', presenceInterval: 60, presenceTimeout: 0.3 })
+      await crashed.start()
+      try {
+        await crashed.getRoom(this.roomName).join('user-3', () => {})
+
+        // Listening loads the room, which the heartbeats of server B then sweep
+        const events = []
+        const roomB = serverB.getRoom(this.roomName)
+        roomB.on('presence', event => events.push(event))
+        await waitFor(() => events.length === 1)
+
+        expect(events[0]).to.include({ type: 'leave', userId: 'user-3', serverId: 'server-c', expired: true })
+        expect(await roomB.countMembers()).to.equal(0)
+      } finally {
+        await crashed.stop()
+      }
+    })
+
+    it('should keep the members of a live server beyond the timeout', async function () {
+      const server = createService({ presence: true, serverId: 'server-d', presenceInterval: 0.1, presenceTimeout: 0.3 })
+      await server.start()
+      try {
+        await server.getRoom(this.roomName).join('user-4', () => {})
+
+        await sleep(600)
+        expect(await serverA.countMembers(this.roomName)).to.equal(1)
+      } finally {
+        // Stopping the server removes its members
+        await server.stop()
+      }
+      expect(await serverA.countMembers(this.roomName)).to.equal(0)
+    })
+
+    it('should require the presence option', async function () {
+      try {
+        await roomService.getMembers(this.roomName)
+        throw new Error('Reading members without presence should have failed.')
+      } catch (err) {
+        expect(err.message).to.include('Presence tracking is not enabled')
+      }
+    })
+  })
+
+  describe('Idle Room Cleanup', () => {
     it('should destroy an idle room after the timeout', async function () {
       const room = roomService.getRoom(this.roomName, { historyLength: 1 }) // Create a consumer room
 
@@ -352,16 +1867,10 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
     const PATTERN_NAME = `${PATTERN_PREFIX}:*`
 
     afterEach(async function () {
-      // 1. Clean up Redis keys using non-blocking SCAN (best practice)
-      const keysToDelete = []
-      const pattern = `${roomService.manager.globalPrefix}:${PATTERN_PREFIX}:*`
-      for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
-        keysToDelete.push(key)
-      }
-      const flattenedKeys = keysToDelete.flat()
-
-      if (flattenedKeys.length > 0) {
-        await redisClient.del(flattenedKeys)
+      // 1. Clean up stored keys (the Redis adapter uses non-blocking SCAN)
+      const keysToDelete = await adapter.scanKeys(`${roomService.manager.globalPrefix}:${PATTERN_PREFIX}:*`)
+      if (keysToDelete.length > 0) {
+        await adapter.del(keysToDelete)
       }
 
       // 2. Clean up in-memory Room instances to ensure test isolation
@@ -406,7 +1915,10 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
         patternRoom.join('pattern-user-1', (fullData, newData) => {
           try {
             expect(newData).to.be.null // No "new" data on initial join
-            const expectedFullData = { val1: '100', val2: '200' }
+            const expectedFullData = {
+              [ROOM_NAME_1]: { val1: 100 },
+              [ROOM_NAME_2]: { val2: 200 }
+            }
             expect(fullData).to.deep.equal(expectedFullData)
             resolve()
           } catch (err) {
@@ -426,7 +1938,7 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
 
       let callCount = 0
 
-      patternRoom.join('pattern-user-2', async (fullData, newData) => {
+      patternRoom.join('pattern-user-2', async (fullData, newData, extraData, meta) => {
         try {
           callCount++
           if (callCount === 1) { // Initial join (data is empty)
@@ -435,12 +1947,14 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
             await room1.publish(update1)
           } else if (callCount === 2) { // Received update from room1
             expect(newData).to.deep.equal(update1)
-            expect(fullData).to.deep.equal({ val1: 111 })
+            expect(meta).to.include({ room: ROOM_NAME_1, roomAdded: true })
+            expect(fullData).to.deep.equal({ [ROOM_NAME_1]: { val1: 111 } })
             // Now, trigger an update from the second room
             await room2.publish(update2)
           } else if (callCount === 3) { // Received update from room2
             expect(newData).to.deep.equal(update2)
-            expect(fullData).to.deep.equal({ val1: 111, val2: 222 })
+            expect(meta).to.include({ room: ROOM_NAME_2, roomAdded: true })
+            expect(fullData).to.deep.equal({ [ROOM_NAME_1]: { val1: 111 }, [ROOM_NAME_2]: { val2: 222 } })
             done()
           }
         } catch (err) {
@@ -448,5 +1962,93 @@ describe('Pomeloes Room Plugin Tests (Refactored)', function () {
         }
       })
     })
+
+    it('should keep equal field names of different rooms apart', async function () {
+      await roomService.publish(ROOM_NAME_1, { score: 10 })
+      await roomService.publish(ROOM_NAME_2, { score: 20 })
+
+      const patternRoom = roomService.getRoom(PATTERN_NAME)
+      expect(await patternRoom.getFullData()).to.deep.equal({
+        [ROOM_NAME_1]: { score: 10 },
+        [ROOM_NAME_2]: { score: 20 }
+      })
+      expect((await patternRoom.getSourceRooms()).sort()).to.deep.equal([ROOM_NAME_1, ROOM_NAME_2])
+    })
+
+    it('should coalesce the updates of each matched room', async function () {
+      const patternRoom = roomService.getRoom(PATTERN_NAME, { throttle: 200 })
+      const updates = []
+      await patternRoom.join('pattern-user-4', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push({ fullData, newData, meta })
+      })
+
+      await roomService.publish(ROOM_NAME_1, { score: 1 }) // Delivered at once
+      await waitFor(() => updates.length === 1)
+      await roomService.publish(ROOM_NAME_1, { score: 2 })
+      await roomService.publish(ROOM_NAME_2, { score: 10 })
+      await roomService.publish(ROOM_NAME_1, { score: 3 })
+      await waitFor(() => updates.length === 3)
+      await sleep(300)
+
+      expect(updates).to.have.lengthOf(3)
+      const byRoom = Object.fromEntries(updates.slice(1).map(update => [update.meta.room, update]))
+      expect(byRoom[ROOM_NAME_1].newData).to.deep.equal({ score: 3 })
+      expect(byRoom[ROOM_NAME_1].meta).to.include({ coalesced: 2 })
+      expect(byRoom[ROOM_NAME_2].newData).to.deep.equal({ score: 10 })
+      expect(byRoom[ROOM_NAME_2].meta).to.include({ coalesced: 1, roomAdded: true })
+      expect(updates[2].fullData).to.deep.equal({ [ROOM_NAME_1]: { score: 3 }, [ROOM_NAME_2]: { score: 10 } })
+    })
+
+    it('should merge the stream history of the matched rooms by entry id', async function () {
+      const opts = { historyMode: 'stream', historyLength: 10 }
+      // Ids of different rooms are only ordered across milliseconds
+      await roomService.publish(ROOM_NAME_1, { n: 1 }, opts)
+      await sleep(5)
+      await roomService.publish(ROOM_NAME_2, { n: 2 }, opts)
+      await sleep(5)
+      await roomService.publish(ROOM_NAME_1, { n: 3 }, opts)
+
+      const patternRoom = roomService.getRoom(PATTERN_NAME, opts)
+      const history = await patternRoom.getHistory()
+      expect(history.map(({ room, data }) => [room, data.n])).to.deep.equal([[ROOM_NAME_1, 3], [ROOM_NAME_2, 2], [ROOM_NAME_1, 1]])
+      expect(await patternRoom.getHistoryData()).to.deep.equal([{ n: 3 }, { n: 2 }, { n: 1 }])
+      expect(await patternRoom.getHistory({ limit: 1, before: history[0].id })).to.have.lengthOf(1)
+    })
+
+    it('should track rooms disappearing from the pattern', async function () {
+      await roomService.publish(ROOM_NAME_1, { score: 10 })
+      await roomService.publish(ROOM_NAME_2, { score: 20 })
+
+      const patternRoom = roomService.getRoom(PATTERN_NAME)
+      const updates = []
+      await patternRoom.join('pattern-user-3', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push({ fullData, meta })
+      })
+
+      // Removing the last field of a room deletes its hash, so it no longer matches the pattern
+      await roomService.remove(ROOM_NAME_2, 'score')
+      await waitFor(() => updates.length === 1)
+
+      expect(updates[0].meta).to.include({ room: ROOM_NAME_2, roomRemoved: true })
+      expect(updates[0].fullData).to.deep.equal({ [ROOM_NAME_1]: { score: 10 } })
+      expect(await patternRoom.getSourceRooms()).to.deep.equal([ROOM_NAME_1])
+    })
+
+    it('should report closed rooms and keep the pattern room', async function () {
+      await roomService.publish(ROOM_NAME_1, { score: 10 })
+
+      const patternRoom = roomService.getRoom(PATTERN_NAME)
+      const updates = []
+      await patternRoom.join('pattern-user-4', (fullData, newData, extraData, meta) => {
+        if (meta) updates.push({ fullData, meta })
+      })
+
+      expect(await roomService.closeRoom(ROOM_NAME_1, 'done')).to.be.true
+      await waitFor(() => updates.length === 1)
+      expect(updates[0].meta).to.deep.equal({ room: ROOM_NAME_1, reason: 'done', removed: [], final: true })
+      expect(updates[0].fullData).to.deep.equal({ [ROOM_NAME_1]: { score: 10 } })
+      expect(roomService.manager.rooms.get(PATTERN_NAME)).to.equal(patternRoom)
+      expect(patternRoom.callbacks.has('pattern-user-4')).to.be.true
+    })
   })
 })
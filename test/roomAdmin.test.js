@@ -0,0 +1,175 @@
+const { expect } = require('chai')
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const RoomService = require('../lib/service/roomService')
+const roomAdmin = require('../lib/modules/roomAdmin')
+
+const ADAPTER = process.env.ROOM_TEST_ADAPTER || 'memory'
+
+// Wires a master agent to monitor agents, routing notifications and requests like pomelo-admin
+class FakeConsole {
+  constructor (servers) {
+    this.store = {}
+    this.monitors = new Map()
+    this.master = {
+      get: key => this.store[key],
+      set: (key, value) => { this.store[key] = value },
+      notifyAll: moduleId => { for (const id of this.monitors.keys()) this.master.notifyById(id, moduleId) },
+      notifyByType: (serverType, moduleId) => {
+        for (const [id, { serverType: type }] of this.monitors) if (type === serverType) this.master.notifyById(id, moduleId)
+      },
+      notifyById: (id, moduleId, msg) => {
+        const { agent, module } = this.monitors.get(id)
+        module.monitorHandler(agent, msg)
+      },
+      request: (id, moduleId, msg, cb) => {
+        const { agent, module } = this.monitors.get(id)
+        module.monitorHandler(agent, msg, cb)
+      }
+    }
+    this.masterModule = roomAdmin({ app: { get: () => undefined } })
+    for (const [id, { serverType, app }] of Object.entries(servers)) {
+      const agent = { id, notify: (moduleId, msg) => this.masterModule.masterHandler(this.master, msg) }
+      this.monitors.set(id, { agent, serverType, module: roomAdmin({ app }) })
+    }
+  }
+
+  pull () {
+    this.masterModule.masterHandler(this.master)
+  }
+
+  request (msg) {
+    return new Promise((resolve, reject) => {
+      this.masterModule.clientHandler(this.master, msg, (err, result) => err ? reject(new Error(err)) : resolve(result))
+    })
+  }
+}
+
+describe('Room Admin Module', function () {
+  this.timeout(10000)
+
+  const services = {}
+  let adminConsole
+  let roomName
+  let testCounter = 0
+
+  before(async () => {
+    for (const id of ['area-1', 'area-2']) {
+      services[id] = new RoomService({ set: () => {}, get: () => {} }, { adapter: ADAPTER, redis: {} })
+      await services[id].start()
+    }
+    const appOf = service => ({ get: name => name === 'roomService' ? service : undefined })
+    adminConsole = new FakeConsole({
+      'area-1': { serverType: 'area', app: appOf(services['area-1']) },
+      'area-2': { serverType: 'area', app: appOf(services['area-2']) },
+      'gate-1': { serverType: 'gate', app: { get: () => undefined } }
+    })
+  })
+
+  after(async () => {
+    for (const service of Object.values(services)) await service.stop()
+  })
+
+  beforeEach(() => {
+    roomName = `test-admin:match-${testCounter++}`
+  })
+
+  afterEach(async () => {
+    for (const service of Object.values(services)) {
+      for (const name of Array.from(service.manager.rooms.keys())) await service.destroyRoom(name)
+    }
+    await services['area-1'].deleteRoom(roomName)
+  })
+
+  it('should collect the rooms reported by each server', async function () {
+    const producer = services['area-1'].createRoom(roomName, { enablePublish: true, historyLength: 5 })
+    await producer.publish({ phase: 'play', score: 10 })
+    await services['area-2'].getRoom(roomName).join('user-1', () => {})
+    await services['area-2'].getRoom('test-admin:*').join('admin', () => {})
+
+    expect(roomAdmin.moduleId).to.equal('room')
+    adminConsole.pull()
+    const servers = await adminConsole.request({ signal: 'list' })
+    expect(Object.keys(servers)).to.deep.equal(['area-1', 'area-2'])
+    expect(servers['area-1'].stale).to.be.false
+    expect(servers['area-1'].rooms).to.deep.equal([{
+      name: roomName,
+      producer: true,
+      pattern: false,
+      initialized: false,
+      subscribers: 0,
+      listeners: 0,
+      idleMs: null,
+      version: null,
+      fields: 0,
+      dataSize: 0,
+      historyLength: 0
+    }])
+    const [consumer, pattern] = servers['area-2'].rooms
+    expect(consumer).to.include({ name: roomName, producer: false, initialized: true, subscribers: 1, version: 1, fields: 2 })
+    expect(consumer.dataSize).to.equal(Buffer.byteLength('phase"play"score10'))
+    expect(pattern).to.include({ name: 'test-admin:*', pattern: true, subscribers: 1, sourceRooms: 1 })
+
+    const filtered = await adminConsole.request({ signal: 'list', serverId: 'area-2', room: roomName })
+    expect(filtered['area-2'].rooms).to.have.lengthOf(1)
+    expect(filtered).to.not.have.property('area-1')
+  })
+
+  it('should dump, flush and destroy rooms on the servers holding them', async function () {
+    const producer = services['area-1'].createRoom(roomName, { enablePublish: true, historyLength: 5 })
+    await producer.publish({ score: 1 })
+    await producer.publish({ score: 2 })
+    const room = services['area-2'].getRoom(roomName, { historyLength: 5 })
+    await room.join('user-1', () => {})
+    await waitFor(() => room.getVersion() === 2)
+    adminConsole.pull()
+
+    const dump = await adminConsole.request({ signal: 'dump', room: roomName, serverId: 'area-2' })
+    expect(dump['area-2'].local.fullData).to.deep.equal({ score: 2 })
+    expect(dump['area-2'].local.history).to.deep.equal([{ score: 2 }, { score: 1 }])
+    expect(dump['area-2'].stored).to.deep.equal({
+      fullData: { score: 2 },
+      history: [{ id: null, data: { score: 2 } }, { id: null, data: { score: 1 } }],
+      version: 2
+    })
+
+    expect(await adminConsole.request({ signal: 'flushHistory', room: roomName })).to.deep.equal({ 'area-1': { flushed: true } })
+    expect((await services['area-1'].readRoom(roomName)).history).to.deep.equal([])
+    await waitFor(() => room.historyData.length === 0)
+
+    expect(await adminConsole.request({ signal: 'destroy', room: roomName })).to.deep.equal({
+      'area-1': { destroyed: true },
+      'area-2': { destroyed: true }
+    })
+    expect(services['area-2'].manager.rooms.has(roomName)).to.be.false
+    expect(room.callbacks.size).to.equal(0)
+    expect((await adminConsole.request({ signal: 'list' }))['area-2'].rooms.map(info => info.name)).to.not.include(roomName)
+    expect(await services['area-1'].readRoom(roomName)).to.include({ version: 2 })
+  })
+
+  it('should report failed commands', async function () {
+    adminConsole.pull()
+    await expectRejection(adminConsole.request({ signal: 'restart' }), 'Unknown signal: restart')
+    await expectRejection(adminConsole.request({ signal: 'dump' }), 'requires a room name')
+    await expectRejection(adminConsole.request({ signal: 'destroy', room: 'test-admin:none' }), 'No server reported room test-admin:none.')
+    const result = await adminConsole.request({ signal: 'flushHistory', room: 'test-admin:*', serverId: 'gate-1' })
+    expect(result).to.deep.equal({ 'gate-1': { error: 'The room plugin is not loaded on this server.' } })
+    const patternResult = await adminConsole.request({ signal: 'flushHistory', room: 'test-admin:*', serverId: 'area-1' })
+    expect(patternResult['area-1'].error).to.include('Pattern name (*) is not allowed')
+  })
+})
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition')
+    await sleep(20)
+  }
+}
+
+const expectRejection = async (promise, message) => {
+  const err = await promise.then(() => null, err => err)
+  expect(err).to.be.an.instanceof(Error)
+  expect(err.message).to.include(message)
+}
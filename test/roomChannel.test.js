@@ -0,0 +1,176 @@
+const { expect } = require('chai')
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { EventEmitter } = require('events')
+const RoomService = require('../lib/service/roomService')
+
+const ADAPTER = process.env.ROOM_TEST_ADAPTER || 'memory'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition')
+    await sleep(20)
+  }
+}
+
+// Records pushes like Pomelo's channelService, per uid
+class MockChannelService {
+  constructor () {
+    this.channels = new Map()
+    this.pushes = [] // { uid, route, msg }
+  }
+
+  getChannel (name, create) {
+    if (!this.channels.has(name) && create) {
+      const members = new Map()
+      this.channels.set(name, {
+        members,
+        add: (uid, sid) => members.set(uid, sid),
+        leave: (uid) => members.delete(uid),
+        pushMessage: (route, msg, opts, cb) => {
+          for (const uid of members.keys()) this.pushes.push({ uid, route, msg })
+          process.nextTick(cb, null)
+        }
+      })
+    }
+    return this.channels.get(name)
+  }
+
+  destroyChannel (name) {
+    this.channels.delete(name)
+  }
+
+  pushMessageByUids (route, msg, uids, opts, cb) {
+    for (const { uid } of uids) this.pushes.push({ uid, route, msg })
+    process.nextTick(cb, null)
+  }
+
+  received (uid) {
+    return this.pushes.filter(push => push.uid === uid).map(push => push.msg)
+  }
+}
+
+const createSession = (uid, frontendId = 'connector-1') => Object.assign(new EventEmitter(), { uid, frontendId })
+
+describe('Room Channel Push', function () {
+  this.timeout(10000)
+
+  let roomService
+  let channelService
+  let roomName
+  let testCounter = 0
+  const ROUTE = 'onRoomUpdate'
+
+  before(async () => {
+    channelService = new MockChannelService()
+    const app = { set: () => {}, get: (name) => name === 'channelService' ? channelService : undefined }
+    roomService = new RoomService(app, { adapter: ADAPTER, redis: {} })
+    await roomService.start()
+  })
+
+  after(async () => {
+    await roomService.stop()
+  })
+
+  beforeEach(() => {
+    roomName = `test-channel:room-${testCounter++}`
+    channelService.pushes = []
+  })
+
+  afterEach(async () => {
+    const keys = roomService.manager._generateKeys(roomName)
+    await roomService.manager.adapter.del([keys.fullDataKey, keys.historyKey, keys.versionKey, keys.logKey, keys.metaKey, keys.closedKey])
+  })
+
+  it('should push the full data on join and then incremental updates', async function () {
+    await roomService.publish(roomName, { a: 1, b: 2 })
+    await roomService.joinSession(roomName, createSession('u1'), ROUTE)
+    await roomService.publish(roomName, { a: 3 })
+    await roomService.remove(roomName, 'b')
+    await waitFor(() => channelService.received('u1').length === 3)
+
+    expect(channelService.pushes.every(push => push.route === ROUTE)).to.be.true
+    const epoch = roomService.getRoom(roomName).getEpoch()
+    expect(epoch).to.match(/^[0-9a-f]{8}$/)
+    expect(channelService.received('u1')).to.deep.equal([
+      { room: roomName, type: 'snapshot', fullData: { a: 1, b: 2 }, version: 1, epoch },
+      { room: roomName, type: 'data', data: { a: 3 }, version: 2 },
+      { room: roomName, type: 'delete', removed: ['b'], version: 3 }
+    ])
+  })
+
+  it('should leave the room when the session is closed', async function () {
+    const session = createSession('u2')
+    await roomService.joinSession(roomName, session, ROUTE)
+    const room = roomService.getRoom(roomName)
+    expect(room.callbacks.has('u2')).to.be.true
+
+    session.emit('closed', session, 'kick')
+    await waitFor(() => !room.callbacks.has('u2'))
+
+    expect(room._hasConsumers()).to.be.false
+    await roomService.publish(roomName, { a: 1 })
+    await sleep(50)
+    expect(channelService.received('u2')).to.have.lengthOf(1) // Only the snapshot
+  })
+
+  it('should batch updates pushed within the batch interval', async function () {
+    await roomService.joinSession(roomName, createSession('u3'), ROUTE, { batchInterval: 100 })
+    await roomService.publish(roomName, { n: 1 })
+    await roomService.publish(roomName, { n: 2 })
+    await waitFor(() => channelService.received('u3').length === 2)
+
+    expect(channelService.received('u3')[1]).to.deep.equal({
+      room: roomName,
+      type: 'batch',
+      updates: [
+        { room: roomName, type: 'data', data: { n: 1 }, version: 1 },
+        { room: roomName, type: 'data', data: { n: 2 }, version: 2 }
+      ]
+    })
+  })
+
+  it('should push only the missed updates to a resuming session', async function () {
+    await roomService.publish(roomName, { a: 1 }, { resumeLength: 10 })
+    await roomService.publish(roomName, { a: 2 }, { resumeLength: 10 })
+    await roomService.remove(roomName, 'a', { resumeLength: 10 })
+
+    expect(await roomService.joinSession(roomName, createSession('u4'), ROUTE, { sinceVersion: 1 })).to.be.true
+    await roomService.publish(roomName, { b: 1 }, { resumeLength: 10 })
+    await waitFor(() => channelService.received('u4').length === 2)
+
+    expect(channelService.received('u4')).to.deep.equal([
+      {
+        room: roomName,
+        type: 'batch',
+        updates: [
+          { room: roomName, type: 'data', data: { a: 2 }, version: 2 },
+          { room: roomName, type: 'delete', removed: ['a'], version: 3 }
+        ]
+      },
+      { room: roomName, type: 'data', data: { b: 1 }, version: 4 }
+    ])
+  })
+
+  it('should push the close of the room and drop the binding', async function () {
+    await roomService.joinSession(roomName, createSession('u5'), ROUTE)
+    const binding = roomService.channels.get(roomName)
+    await roomService.closeRoom(roomName, 'finished')
+    await waitFor(() => !roomService.channels.has(roomName))
+
+    expect(channelService.received('u5')[1]).to.deep.equal({ room: roomName, type: 'close', reason: 'finished', final: true })
+    expect(channelService.channels.has(binding.channelName)).to.be.false
+  })
+
+  it('should keep a single binding per room and drop it with the room', async function () {
+    const binding = roomService.bindToChannel(roomName, ROUTE)
+    expect(roomService.bindToChannel(roomName, ROUTE)).to.equal(binding)
+    expect(() => roomService.bindToChannel(roomName, 'otherRoute')).to.throw(`already bound to route ${ROUTE}`)
+
+    await roomService.getRoom(roomName).destroy()
+    expect(roomService.channels.has(roomName)).to.be.false
+    expect(channelService.channels.has(binding.channelName)).to.be.false
+  })
+})
@@ -0,0 +1,84 @@
+const { expect } = require('chai')
+const { describe, it } = require('mocha')
+const SchemaRegistry = require('../lib/manager/schema')
+
+describe('Schema Registry', function () {
+  const matchSchema = {
+    title: 'Match',
+    properties: {
+      phase: { enum: ['lobby', 'play', 'over'] },
+      score: { type: 'integer', minimum: 0, maximum: 100 },
+      name: { type: 'string', minLength: 1, maxLength: 8, pattern: '^[a-z]+$' },
+      players: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['hp'],
+          properties: { hp: { type: 'number', exclusiveMinimum: -1 } }
+        }
+      },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2, uniqueItems: true }
+    },
+    required: ['phase'],
+    additionalProperties: false
+  }
+
+  it('should validate the fields set and removed by an update', function () {
+    const schemas = new SchemaRegistry()
+    schemas.register('match:*', matchSchema)
+
+    expect(schemas.validate('match:1', { phase: 'play', score: 3, players: { p1: { hp: 0 } } }, [])).to.deep.equal([])
+    expect(schemas.validate('match:1', {
+      phase: 'paused',
+      score: 1.5,
+      name: 'Bob',
+      players: { 'p/1': { hp: -1 }, p2: {} },
+      tags: ['a', 'a', 1],
+      chat: 'hi'
+    }, ['phase'])).to.deep.equal([
+      { path: '/phase', message: 'must be one of "lobby", "play", "over"' },
+      { path: '/score', message: 'must be of type integer' },
+      { path: '/name', message: 'must match ^[a-z]+$' },
+      { path: '/players/p~11/hp', message: 'must be > -1' },
+      { path: '/players/p2/hp', message: 'is required' },
+      { path: '/tags', message: 'must have at most 2 items' },
+      { path: '/tags', message: 'must not contain duplicate items' },
+      { path: '/tags/2', message: 'must be of type string' },
+      { path: '/chat', message: 'is not allowed' },
+      { path: '/phase', message: 'is required and cannot be removed' }
+    ])
+    // Fields not set by an update are not required in it.
+    expect(schemas.validate('match:1', { score: 1 }, [])).to.deep.equal([])
+    expect(schemas.validate('lobby:1', { chat: 'hi' }, [])).to.deep.equal([])
+  })
+
+  it('should pick the schema of the exact name, then of the longest pattern', function () {
+    const schemas = new SchemaRegistry()
+    const calls = []
+    schemas.register('*', () => calls.push('*'))
+    schemas.register('match:*', () => calls.push('match:*'))
+    schemas.register('match:ranked:*', (data, removed, roomName) => {
+      calls.push(roomName)
+      return data.score > 10 ? [{ path: '/score', message: 'is too high' }] : []
+    })
+    schemas.register('match:1', () => false)
+
+    expect(schemas.validate('match:ranked:7', { score: 11 }, [])).to.deep.equal([{ path: '/score', message: 'is too high' }])
+    expect(schemas.validate('match:1', {}, ['score'])).to.deep.equal([{ path: '', message: 'is invalid' }])
+    schemas.validate('match:2', {}, [])
+    schemas.validate('lobby', {}, [])
+    expect(calls).to.deep.equal(['match:ranked:7', 'match:*', '*'])
+
+    expect(schemas.unregister('match:1')).to.be.true
+    expect(schemas.validate('match:1', {}, [])).to.deep.equal([])
+  })
+
+  it('should reject schemas it cannot enforce', function () {
+    const schemas = new SchemaRegistry()
+    expect(() => schemas.register('match:*', { properties: { score: { oneOf: [] } } }))
+      .to.throw("Unsupported schema keyword 'oneOf' at '/properties/score'.")
+    expect(() => schemas.register('match:*', { properties: { score: { type: 'float' } } }))
+      .to.throw("Unknown schema type 'float'")
+    expect(() => schemas.register('', {})).to.throw('room name or pattern')
+  })
+})